@@ -7,33 +7,50 @@ class FerreteriaSearchSystem {
     constructor() {
         // CONFIGURACIÓN COMERCIAL
         this.CONFIG = {
-            MAX_RESULTS: 25,           // Máximo de resultados relevantes
             DEBOUNCE_MS: 350,          // Debounce optimizado para móvil
-            MIN_SCORE: 0.15,           // Puntaje mínimo para mostrar
             BATCH_SIZE: 15,            // Renderizado por lotes
             CACHE_SIZE: 50,            // Cache de búsquedas LRU
-            SCORE_WEIGHTS: {
-                CODIGO_EXACTO: 100,
-                CODIGO_STARTS_WITH: 50,
-                CODIGO_CONTAINS: 30,
-                DESCRIPCION_EXACTA: 40,
-                DESCRIPCION_PALABRA: 35,
-                DESCRIPCION_CONTAINS: 20,
-                MARCA_EXACTA: 25,
-                MARCA_CONTAINS: 15,
-                RUBRO_EXACTO: 10,
-                MULTIPLE_MATCHES: 5
+            STALE_CATALOG_DAYS: 15,    // Avisar si la lista de precios es más vieja
+            CART_STORAGE_KEY: 'ferreteria-cotizacion', // Clave de la cotización en localStorage
+            SHOP_CONFIG_URL: 'shop-config.json',       // Datos del comercio y plantillas de mensajes
+            PRICE_LIST_STORAGE_KEY: 'ferreteria-lista-precios', // Lista de precios elegida
+            PRINT_CONFIRM_ITEMS: 200,  // Confirmar antes de imprimir listas más largas
+            LANDING_CATEGORIES: 12,    // Rubros destacados en el estado inicial
+            PRICE_CHANGE_DAYS: 30,     // Marcar "subió"/"bajó" si el precio cambió hace menos
+            XLSX_LIB_URL: 'vendor/xlsx.full.min.js'   // SheetJS 0.18.5 (local: queda en cache al primer uso)
+        };
+
+        // DATOS DEL COMERCIO (se reemplazan con shop-config.json si está disponible)
+        this.shopConfig = {
+            nombre: 'Ferretería Carnevale',
+            titulo: '🛠️ FERRETERÍA CARNEVALE',
+            whatsapp: '',               // Número internacional sin signos; vacío = elegir contacto
+            listas: [                   // La primera es precio_venta; las demás, product.precios[id]
+                { id: 'minorista', nombre: 'Minorista' }
+            ],
+            plantillas: {
+                consulta: 'Hola, quiero consultar por:\n{descripcion}\nCódigo: {codigo}\nPrecio: ${precio}',
+                cotizacion: 'Hola, quiero cotizar estos productos:\n\n{productos}\n\nTotal: ${total}',
+                lineaCotizacion: '{numero}. {descripcion}\n   Código: {codigo}\n   {cantidad} x ${precio} = ${subtotal}'
             }
         };
 
         // ESTADO DE LA APLICACIÓN
         this.state = {
-            products: [],               // Productos originales
-            normalizedData: [],         // Datos normalizados para búsqueda
-            searchIndex: new Map(),     // Índice invertido por palabra
+            products: [],               // Productos validados por el worker
             rubros: new Set(),          // Rubros únicos
+            marcas: new Set(),          // Marcas únicas
+            catalogVersion: '',         // Hash del catálogo en uso
+            catalogSavedAt: null,       // Cuándo se descargó el catálogo en uso
+            catalogMeta: null,          // Datos de la lista (fecha real, archivo origen) o null
+            isOffline: false,           // Sin conexión (se busca en el catálogo guardado)
             searchTerm: '',             // Término actual de búsqueda
             currentRubro: '',           // Rubro seleccionado
+            currentMarca: '',           // Marca seleccionada
+            priceMin: null,             // Rango de precio (null = sin límite)
+            priceMax: null,
+            priceList: '',              // Lista de precios elegida ('' = la primera)
+            facets: null,               // Cantidad por rubro/marca de la búsqueda actual
             results: [],                // Resultados actuales (con score)
             offset: 0,                  // Offset para scroll infinito
             hasMore: false,             // Si hay más resultados
@@ -45,6 +62,20 @@ class FerreteriaSearchSystem {
         this.searchCache = new Map();   // Cache LRU de búsquedas
         this.nodePool = [];             // Pool de nodos DOM reutilizables
         this.debounceTimer = null;      // Timer para debounce
+        this.xlsxLoader = null;         // Carga de SheetJS (solo al exportar a Excel)
+        this.collator = new Intl.Collator('es');  // Orden alfabético de descripciones
+        
+        // COTIZACIÓN (lista de pedido, persiste en localStorage)
+        this.cart = new Map();          // clave (código + descripción) → { product, cantidad }
+        
+        // PRESUPUESTO IMPRESO (productos tildados en las tarjetas)
+        this.printSelection = new Map(); // clave (código + descripción) → producto
+        
+        // WORKER DE BÚSQUEDA (indexado y scoring fuera del hilo de UI)
+        this.worker = null;
+        this.workerRequests = new Map();  // id → { resolve, reject }
+        this.workerRequestId = 0;
+        this.activeSearchId = null;     // Última búsqueda enviada al worker
         
         // REFERENCIAS DOM
         this.refs = {};
@@ -75,15 +106,35 @@ class FerreteriaSearchSystem {
             // Configurar event listeners
             this.setupEventListeners();
             
-            // Cargar productos
-            await this.loadProducts();
+            // Recuperar la cotización guardada
+            this.loadCart();
+            this.renderCart();
+            
+            // Iniciar worker de búsqueda
+            this.startWorker();
             
-            // Construir estructuras de búsqueda
-            this.buildSearchStructures();
+            // Cargar datos del comercio y productos (el worker construye el índice)
+            await Promise.all([
+                this.loadShopConfig(),
+                this.loadProducts()
+            ]);
+            
+            // Actualizar filtros y contadores
+            this.updateRubroFilter();
+            this.updateMarcaFilter();
+            this.updatePriceListFilter();
+            this.updateCategoryGrid();
+            this.updateProductCount();
+            this.syncCartWithCatalog();
             
             // Configurar UI inicial
             this.setupInitialUI();
             
+            // Arrancar sin conexión: se busca en el catálogo guardado
+            if (navigator.onLine === false) {
+                this.setOfflineMode(true);
+            }
+            
             // Mostrar UI principal
             this.showMainUI();
             
@@ -115,10 +166,18 @@ class FerreteriaSearchSystem {
 
     cacheDOMReferences() {
         this.refs = {
+            // Comercio
+            shopTitle: document.getElementById('shopTitle'),
+            shopName: document.getElementById('shopName'),
+            
             // Inputs y controles
             searchInput: document.getElementById('searchInput'),
             clearBtn: document.getElementById('clearBtn'),
             rubroFilter: document.getElementById('rubroFilter'),
+            marcaFilter: document.getElementById('marcaFilter'),
+            priceListFilter: document.getElementById('priceListFilter'),
+            priceMin: document.getElementById('priceMin'),
+            priceMax: document.getElementById('priceMax'),
             sortFilter: document.getElementById('sortFilter'),
             resetSearch: document.getElementById('resetSearch'),
             
@@ -129,21 +188,47 @@ class FerreteriaSearchSystem {
             
             // Estados
             emptyState: document.getElementById('emptyState'),
+            categoryGrid: document.getElementById('categoryGrid'),
             noResults: document.getElementById('noResults'),
+            didYouMean: document.getElementById('didYouMean'),
+            suggestionBtn: document.getElementById('suggestionBtn'),
             loadingState: document.getElementById('loadingState'),
             
             // Información
             productCount: document.getElementById('productCount'),
+            updateBanner: document.getElementById('updateBanner'),
+            updateBannerBtn: document.getElementById('updateBannerBtn'),
+            offlineIndicator: document.getElementById('offlineIndicator'),
+            staleWarning: document.getElementById('staleWarning'),
             resultsCount: document.getElementById('resultsCount'),
             searchTime: document.getElementById('searchTime'),
             resultsInfo: document.getElementById('resultsInfo'),
+            printResultsBtn: document.getElementById('printResultsBtn'),
+            clearPrintSelectionBtn: document.getElementById('clearPrintSelectionBtn'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            exportXlsxBtn: document.getElementById('exportXlsxBtn'),
             lastUpdate: document.getElementById('lastUpdate'),
             
             // Modal
             modalOverlay: document.getElementById('modalOverlay'),
             modalClose: document.getElementById('modalClose'),
             modalBody: document.getElementById('modalBody'),
-            modalWhatsAppBtn: document.getElementById('modalWhatsAppBtn')
+            modalWhatsAppBtn: document.getElementById('modalWhatsAppBtn'),
+            
+            // Cotización
+            cartBar: document.getElementById('cartBar'),
+            cartBarCount: document.getElementById('cartBarCount'),
+            cartBarTotal: document.getElementById('cartBarTotal'),
+            cartOverlay: document.getElementById('cartOverlay'),
+            cartClose: document.getElementById('cartClose'),
+            cartItems: document.getElementById('cartItems'),
+            cartTotal: document.getElementById('cartTotal'),
+            cartClearBtn: document.getElementById('cartClearBtn'),
+            cartPrintBtn: document.getElementById('cartPrintBtn'),
+            cartWhatsAppBtn: document.getElementById('cartWhatsAppBtn'),
+            
+            // Presupuesto imprimible
+            printQuote: document.getElementById('printQuote')
         };
     }
 
@@ -164,6 +249,32 @@ class FerreteriaSearchSystem {
             this.performSearch();
         });
 
+        // Rubros destacados del estado inicial
+        this.refs.categoryGrid?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rubro]');
+            if (button) {
+                this.browseRubro(button.dataset.rubro);
+            }
+        });
+
+        // Filtro por marca
+        this.refs.marcaFilter?.addEventListener('change', (e) => {
+            this.state.currentMarca = e.target.value;
+            this.performSearch();
+        });
+
+        // Lista de precios (minorista, mayorista...)
+        this.refs.priceListFilter?.addEventListener('change', (e) => {
+            this.handlePriceListChange(e.target.value);
+        });
+
+        // Rango de precio (con debounce, se tipea)
+        [this.refs.priceMin, this.refs.priceMax].forEach(input => {
+            input?.addEventListener('input', () => {
+                this.handlePriceRangeInput();
+            });
+        });
+
         // Ordenamiento
         this.refs.sortFilter?.addEventListener('change', (e) => {
             this.sortResults(e.target.value);
@@ -175,10 +286,25 @@ class FerreteriaSearchSystem {
             this.resetSearch();
         });
 
-        // Scroll infinito
+        // Sugerencia "¿Quisiste decir...?"
+        this.refs.suggestionBtn?.addEventListener('click', () => {
+            this.applySuggestion(this.refs.suggestionBtn.textContent);
+        });
+
+        // Aviso de precios nuevos
+        this.refs.updateBannerBtn?.addEventListener('click', () => {
+            this.refreshCatalog();
+        });
+
+        // Scroll infinito (el viewport crece con el contenido, así que
+        // en móvil el que scrollea suele ser la ventana)
         this.refs.productsViewport?.addEventListener('scroll', () => {
             this.handleScroll();
         }, { passive: true });
+        
+        window.addEventListener('scroll', () => {
+            this.handleScroll();
+        }, { passive: true });
 
         // Modal
         this.refs.modalClose?.addEventListener('click', () => {
@@ -191,10 +317,65 @@ class FerreteriaSearchSystem {
             }
         });
 
-        // Cerrar modal con ESC
+        // Cotización
+        this.refs.cartBar?.addEventListener('click', () => {
+            this.showCart();
+        });
+
+        this.refs.cartClose?.addEventListener('click', () => {
+            this.hideCart();
+        });
+
+        this.refs.cartOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.refs.cartOverlay) {
+                this.hideCart();
+            }
+        });
+
+        this.refs.cartClearBtn?.addEventListener('click', () => {
+            if (confirm('¿Vaciar la cotización?')) {
+                this.clearCart();
+            }
+        });
+
+        this.refs.cartWhatsAppBtn?.addEventListener('click', () => {
+            this.sendCartWhatsApp();
+        });
+
+        // Presupuesto imprimible (resultados o cotización)
+        this.refs.printResultsBtn?.addEventListener('click', () => {
+            this.printResults();
+        });
+
+        this.refs.clearPrintSelectionBtn?.addEventListener('click', () => {
+            this.clearPrintSelection();
+        });
+
+        this.refs.cartPrintBtn?.addEventListener('click', () => {
+            this.printCart();
+        });
+
+        // Exportar resultados a planilla
+        this.refs.exportCsvBtn?.addEventListener('click', () => {
+            this.exportResultsCsv();
+        });
+
+        this.refs.exportXlsxBtn?.addEventListener('click', () => {
+            this.exportResultsXlsx();
+        });
+
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-quote');
+        });
+
+        // Cerrar modal o cotización con ESC
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.refs.modalOverlay.style.display === 'block') {
+            if (e.key !== 'Escape') return;
+            
+            if (this.refs.modalOverlay && this.refs.modalOverlay.style.display !== 'none') {
                 this.hideModal();
+            } else if (this.refs.cartOverlay && this.refs.cartOverlay.style.display !== 'none') {
+                this.hideCart();
             }
         });
 
@@ -211,29 +392,29 @@ class FerreteriaSearchSystem {
         
         try {
             const startTime = performance.now();
-            const response = await fetch('products.json', {
-                cache: 'force-cache',
-                headers: {
-                    'Cache-Control': 'max-age=3600'
-                }
+            
+            // El worker descarga, valida e indexa; devuelve los productos listos
+            const { products, rubros, marcas, version, savedAt, meta } = await this.requestWorker('load', {
+                productsUrl: 'products.json',
+                synonymsUrl: 'synonyms.json',
+                indexUrl: 'products-index.json',
+                metaUrl: 'catalog-meta.json'
             });
             
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+            this.state.products = products;
+            this.state.rubros = new Set(rubros);
+            this.state.marcas = new Set(marcas);
+            this.state.catalogVersion = version;
+            this.state.catalogSavedAt = savedAt;
+            this.state.catalogMeta = meta;
             
-            const products = await response.json();
             const loadTime = performance.now() - startTime;
-            
-            console.log(`✅ Productos cargados: ${products.length} en ${loadTime.toFixed(0)}ms`);
-            
-            // Procesar productos
-            this.processProducts(products);
+            console.log(`✅ Catálogo listo: ${products.length} productos en ${loadTime.toFixed(0)}ms`);
             
             // Actualizar estadísticas
             this.stats.totalProducts = products.length;
             
-            // Actualizar fecha de actualización
+            // Fecha real de la lista de precios
             this.updateLastUpdateDate();
             
             this.hideLoadingState();
@@ -245,116 +426,166 @@ class FerreteriaSearchSystem {
         }
     }
 
-    processProducts(products) {
-        const startTime = performance.now();
-        
-        // Limpiar datos anteriores
-        this.state.products = [];
-        this.state.normalizedData = [];
-        this.state.rubros.clear();
-        
-        // Procesar cada producto
-        products.forEach((product, index) => {
-            // Validar datos mínimos
-            if (!product.codigo || !product.descripcion || !product.precio_venta) {
-                return; // Saltar producto incompleto
-            }
+    async loadShopConfig() {
+        try {
+            const response = await fetch(this.CONFIG.SHOP_CONFIG_URL, { cache: 'no-cache' });
             
-            // Crear objeto normalizado UNA VEZ
-            const normalized = {
-                index: index,
-                codigo: String(product.codigo).trim(),
-                descripcion: String(product.descripcion).trim(),
-                rubro: String(product.rubro || '').trim(),
-                marca: String(product.marca || '').trim(),
-                precio_venta: Number(product.precio_venta) || 0,
-                
-                // Campos normalizados para búsqueda (creados una sola vez)
-                searchText: this.normalizeSearchText(
-                    `${product.codigo} ${product.descripcion} ${product.marca} ${product.rubro}`
-                ),
-                codigoNormalized: this.normalizeText(product.codigo),
-                descripcionNormalized: this.normalizeText(product.descripcion),
-                marcaNormalized: this.normalizeText(product.marca || ''),
-                rubroNormalized: this.normalizeText(product.rubro || '')
-            };
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
             
-            // Guardar productos
-            this.state.products.push({
-                ...product,
-                codigo: normalized.codigo,
-                descripcion: normalized.descripcion,
-                rubro: normalized.rubro,
-                marca: normalized.marca,
-                precio_venta: normalized.precio_venta
-            });
+            const config = await response.json();
             
-            this.state.normalizedData.push(normalized);
+            // Lo que falte en el archivo conserva el valor por defecto
+            this.shopConfig = {
+                ...this.shopConfig,
+                ...config,
+                plantillas: { ...this.shopConfig.plantillas, ...(config.plantillas || {}) }
+            };
             
-            // Agregar rubro
-            if (normalized.rubro) {
-                this.state.rubros.add(normalized.rubro);
-            }
-        });
+        } catch (error) {
+            // Sin configuración se usan los datos por defecto
+            console.warn('⚠️ No se pudo cargar shop-config.json:', error.message);
+        }
         
-        const processTime = performance.now() - startTime;
-        console.log(`✅ Productos procesados: ${this.state.products.length} en ${processTime.toFixed(0)}ms`);
-    }
-
-    normalizeSearchText(text) {
-        // Normalización COMPLETA para búsqueda (hacer solo una vez)
-        return this.normalizeText(text)
-            .replace(/[^a-z0-9\s]/g, ' ')   // Eliminar símbolos
-            .replace(/\s+/g, ' ')           // Unificar espacios
-            .trim();
+        this.applyShopConfig();
     }
 
-    normalizeText(text) {
-        // Normalización básica: minúsculas y sin acentos
-        return text
-            .toLowerCase()
-            .normalize('NFD')
-            .replace(/[\u0300-\u036f]/g, '');
+    applyShopConfig() {
+        const { nombre, titulo } = this.shopConfig;
+        
+        if (this.refs.shopTitle) {
+            this.refs.shopTitle.textContent = titulo || nombre;
+        }
+        if (this.refs.shopName) {
+            this.refs.shopName.textContent = nombre;
+        }
+        
+        document.title = `Listado de Precios - ${nombre}`;
     }
 
     // ==============================================
-    // 3. CONSTRUCCIÓN DE ÍNDICES DE BÚSQUEDA
+    // 3. COMUNICACIÓN CON EL WORKER DE BÚSQUEDA
     // ==============================================
 
-    buildSearchStructures() {
-        const startTime = performance.now();
+    startWorker() {
+        this.worker = new Worker('search-worker.js');
         
-        // Limpiar índice anterior
-        this.state.searchIndex.clear();
-        
-        // Construir índice invertido por palabra
-        this.state.normalizedData.forEach((product, index) => {
-            // Obtener palabras únicas del searchText
-            const words = new Set(product.searchText.split(/\s+/));
+        this.worker.addEventListener('message', (event) => {
+            const { id, type, ...payload } = event.data;
             
-            // Indexar cada palabra
-            words.forEach(word => {
-                if (word.length >= 2) { // Ignorar palabras muy cortas
-                    if (!this.state.searchIndex.has(word)) {
-                        this.state.searchIndex.set(word, new Set());
-                    }
-                    this.state.searchIndex.get(word).add(index);
-                }
-            });
+            // Catálogo nuevo detectado en segundo plano
+            if (type === 'updated') {
+                this.applyCatalogUpdate(payload);
+                return;
+            }
+            
+            const request = this.workerRequests.get(id);
+            if (!request) return;
+            
+            this.workerRequests.delete(id);
+            
+            if (type === 'error') {
+                request.reject(new Error(payload.message));
+            } else if (type === 'cancelled') {
+                request.resolve(null);
+            } else {
+                request.resolve(payload);
+            }
+        });
+        
+        this.worker.addEventListener('error', (event) => {
+            console.error('❌ Error en el worker de búsqueda:', event.message);
         });
+    }
+
+    applyCatalogUpdate({ products, rubros, marcas, version, savedAt, meta }) {
+        this.state.products = products;
+        this.state.rubros = new Set(rubros);
+        this.state.marcas = new Set(marcas);
+        this.state.catalogVersion = version;
+        this.state.catalogSavedAt = savedAt;
+        this.state.catalogMeta = meta;
+        this.stats.totalProducts = products.length;
+        
+        // Los resultados cacheados apuntan a índices del catálogo anterior
+        this.searchCache.clear();
         
-        // Actualizar UI
         this.updateRubroFilter();
+        this.updateMarcaFilter();
+        this.updatePriceListFilter();
+        this.updateCategoryGrid();
         this.updateProductCount();
+        this.updateLastUpdateDate();
+        this.syncCartWithCatalog();
+        this.syncPrintSelection();
+        
+        if (this.state.searchTerm || this.hasActiveFilters()) {
+            this.performSearch();
+        }
+        
+        console.log(`✅ Catálogo actualizado a la versión ${version}`);
+    }
+
+    async refreshCatalog() {
+        // Recargar el catálogo sin refrescar la página
+        if (this.refs.updateBannerBtn) {
+            this.refs.updateBannerBtn.disabled = true;
+        }
         
-        const indexTime = performance.now() - startTime;
-        console.log(`✅ Índice construido: ${this.state.searchIndex.size} palabras únicas en ${indexTime.toFixed(0)}ms`);
+        try {
+            await this.requestWorker('refresh');
+            this.hideUpdateBanner();
+        } catch (error) {
+            console.error('❌ Error actualizando el catálogo:', error);
+        } finally {
+            if (this.refs.updateBannerBtn) {
+                this.refs.updateBannerBtn.disabled = false;
+            }
+        }
+    }
+
+    requestWorker(type, payload = {}, id = ++this.workerRequestId) {
+        return new Promise((resolve, reject) => {
+            this.workerRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, ...payload });
+        });
+    }
+
+    cancelActiveSearch() {
+        if (this.activeSearchId !== null) {
+            this.worker.postMessage({ type: 'cancel', id: this.activeSearchId });
+            this.activeSearchId = null;
+        }
+    }
+
+    hydrateResults(indices, scores) {
+        return Array.from(indices, (index, i) => ({
+            product: this.state.products[index],
+            index: index,
+            score: scores[i]
+        }));
     }
 
     // ==============================================
     // 4. SISTEMA DE BÚSQUEDA CON SCORING COMERCIAL
     // ==============================================
 
+    handlePriceRangeInput() {
+        const parsePrice = (input) => {
+            const value = input ? parseFloat(input.value) : NaN;
+            return Number.isFinite(value) && value >= 0 ? value : null;
+        };
+        
+        this.state.priceMin = parsePrice(this.refs.priceMin);
+        this.state.priceMax = parsePrice(this.refs.priceMax);
+        
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => {
+            this.performSearch();
+        }, this.CONFIG.DEBOUNCE_MS);
+    }
+
     handleSearchInput(searchTerm) {
         // Actualizar término
         this.state.searchTerm = searchTerm.trim();
@@ -364,8 +595,10 @@ class FerreteriaSearchSystem {
             this.refs.clearBtn.style.display = searchTerm ? 'block' : 'none';
         }
         
-        // Si está vacío, mostrar estado inicial
-        if (!searchTerm) {
+        // Sin texto ni filtros, mostrar estado inicial (con filtros se explora)
+        if (!searchTerm && !this.hasActiveFilters()) {
+            clearTimeout(this.debounceTimer);
+            this.cancelActiveSearch();
             this.showEmptyState();
             return;
         }
@@ -377,13 +610,27 @@ class FerreteriaSearchSystem {
         }, this.CONFIG.DEBOUNCE_MS);
     }
 
-    performSearch() {
+    async performSearch() {
         const startTime = performance.now();
         
+        // Descartar la búsqueda anterior si sigue pendiente
+        this.cancelActiveSearch();
+        
+        // Sin texto ni filtros no hay nada que listar
+        if (!this.state.searchTerm && !this.hasActiveFilters()) {
+            this.state.facets = null;
+            this.updateFacetFilters();
+            this.showEmptyState();
+            return;
+        }
+        
         // Verificar cache
         const cacheKey = this.getCacheKey();
         if (this.searchCache.has(cacheKey)) {
-            this.state.results = this.searchCache.get(cacheKey);
+            this.state.results = this.getCachedResults(cacheKey);
+            this.state.facets = this.searchCache.get(cacheKey).facets;
+            this.updateFacetFilters();
+            this.applyCurrentSort();
             this.renderResults();
             
             const cacheTime = performance.now() - startTime;
@@ -391,21 +638,38 @@ class FerreteriaSearchSystem {
             return;
         }
         
-        // Buscar productos relevantes
-        const relevantProducts = this.findRelevantProducts();
+        // Buscar y puntuar en el worker
+        const searchId = ++this.workerRequestId;
+        this.activeSearchId = searchId;
+        
+        let response;
+        try {
+            response = await this.requestWorker('search', {
+                searchTerm: this.state.searchTerm,
+                filters: this.getFilters()
+            }, searchId);
+        } catch (error) {
+            console.error('❌ Error en la búsqueda:', error);
+            this.showErrorState('No se pudo completar la búsqueda.');
+            return;
+        }
         
-        // Calcular scores
-        const scoredResults = this.calculateProductScores(relevantProducts);
+        // Ignorar respuestas canceladas o de búsquedas viejas
+        if (!response || this.activeSearchId !== searchId) return;
+        this.activeSearchId = null;
         
-        // Filtrar y ordenar
-        this.state.results = scoredResults
-            .filter(result => result.score >= this.CONFIG.MIN_SCORE)
-            .sort((a, b) => b.score - a.score)
-            .slice(0, this.CONFIG.MAX_RESULTS);
+        this.state.results = this.hydrateResults(response.indices, response.scores);
+        this.state.facets = response.facets;
         
         // Cachear resultados
         this.cacheSearchResults(cacheKey);
         
+        // Cantidades por rubro y marca para esta búsqueda
+        this.updateFacetFilters();
+        
+        // Respetar el orden elegido (al explorar un rubro, por ejemplo por precio)
+        this.applyCurrentSort();
+        
         // Renderizar
         this.renderResults();
         
@@ -414,109 +678,23 @@ class FerreteriaSearchSystem {
         this.updateSearchStats(searchTime, false);
     }
 
-    findRelevantProducts() {
-        if (!this.state.searchTerm) return [];
-        
-        const searchWords = this.normalizeSearchText(this.state.searchTerm)
-            .split(/\s+/)
-            .filter(word => word.length >= 2);
-        
-        if (searchWords.length === 0) return [];
-        
-        // Encontrar productos que contengan TODAS las palabras (AND lógico)
-        let productIndices = null;
-        
-        searchWords.forEach((word, index) => {
-            const indices = this.state.searchIndex.get(word) || new Set();
-            
-            if (index === 0) {
-                productIndices = new Set(indices);
-            } else {
-                // Intersección de conjuntos
-                productIndices = new Set(
-                    [...productIndices].filter(idx => indices.has(idx))
-                );
-            }
-        });
-        
-        if (!productIndices || productIndices.size === 0) {
-            return [];
-        }
-        
-        // Convertir índices a productos
-        return Array.from(productIndices).map(index => ({
-            product: this.state.products[index],
-            normalized: this.state.normalizedData[index],
-            index: index
-        }));
+    getFilters() {
+        return {
+            rubro: this.state.currentRubro,
+            marca: this.state.currentMarca,
+            precioMin: this.state.priceMin,
+            precioMax: this.state.priceMax,
+            lista: this.state.priceList
+        };
     }
 
-    calculateProductScores(products) {
-        if (!this.state.searchTerm || products.length === 0) {
-            return [];
-        }
-        
-        const searchWords = this.normalizeSearchText(this.state.searchTerm)
-            .split(/\s+/)
-            .filter(word => word.length >= 2);
-        
-        return products.map(item => {
-            let score = 0;
-            const { normalized } = item;
-            
-            searchWords.forEach(word => {
-                // 1. PUNTUACIÓN POR CÓDIGO (MÁXIMA PRIORIDAD)
-                if (normalized.codigoNormalized === word) {
-                    score += this.CONFIG.SCORE_WEIGHTS.CODIGO_EXACTO;
-                } else if (normalized.codigoNormalized.startsWith(word)) {
-                    score += this.CONFIG.SCORE_WEIGHTS.CODIGO_STARTS_WITH;
-                } else if (normalized.codigoNormalized.includes(word)) {
-                    score += this.CONFIG.SCORE_WEIGHTS.CODIGO_CONTAINS;
-                }
-                
-                // 2. PUNTUACIÓN POR DESCRIPCIÓN (ALTA PRIORIDAD)
-                const descWords = normalized.descripcionNormalized.split(/\s+/);
-                if (descWords.includes(word)) {
-                    score += this.CONFIG.SCORE_WEIGHTS.DESCRIPCION_PALABRA;
-                } else if (normalized.descripcionNormalized.includes(word)) {
-                    score += this.CONFIG.SCORE_WEIGHTS.DESCRIPCION_CONTAINS;
-                }
-                
-                // 3. PUNTUACIÓN POR MARCA
-                if (normalized.marcaNormalized === word) {
-                    score += this.CONFIG.SCORE_WEIGHTS.MARCA_EXACTA;
-                } else if (normalized.marcaNormalized.includes(word)) {
-                    score += this.CONFIG.SCORE_WEIGHTS.MARCA_CONTAINS;
-                }
-                
-                // 4. PUNTUACIÓN POR RUBRO
-                if (normalized.rubroNormalized === word) {
-                    score += this.CONFIG.SCORE_WEIGHTS.RUBRO_EXACTO;
-                }
-                
-                // 5. COINCIDENCIAS MÚLTIPLES EN SEARCH TEXT
-                const regex = new RegExp(`\\b${word}\\b`, 'g');
-                const matches = normalized.searchText.match(regex);
-                if (matches) {
-                    score += matches.length * this.CONFIG.SCORE_WEIGHTS.MULTIPLE_MATCHES;
-                }
-            });
-            
-            // Penalizar si no coincide con rubro filtrado
-            if (this.state.currentRubro && 
-                item.product.rubro !== this.state.currentRubro) {
-                score = 0;
-            }
-            
-            return {
-                ...item,
-                score: score / 100 // Normalizar a escala 0-1
-            };
-        });
+    hasActiveFilters() {
+        return Boolean(this.state.currentRubro || this.state.currentMarca) ||
+            this.state.priceMin !== null || this.state.priceMax !== null;
     }
 
     getCacheKey() {
-        return `${this.state.searchTerm}-${this.state.currentRubro}`;
+        return JSON.stringify([this.state.searchTerm, this.getFilters()]);
     }
 
     cacheSearchResults(key) {
@@ -526,7 +704,23 @@ class FerreteriaSearchSystem {
             this.searchCache.delete(oldestKey);
         }
         
-        this.searchCache.set(key, [...this.state.results]);
+        // Guardar solo índices y scores (compacto aunque haya miles de resultados)
+        const results = this.state.results;
+        this.searchCache.set(key, {
+            indices: Uint32Array.from(results, result => result.index),
+            scores: Float32Array.from(results, result => result.score),
+            facets: this.state.facets
+        });
+    }
+
+    getCachedResults(key) {
+        const entry = this.searchCache.get(key);
+        
+        // Refrescar posición en el LRU
+        this.searchCache.delete(key);
+        this.searchCache.set(key, entry);
+        
+        return this.hydrateResults(entry.indices, entry.scores);
     }
 
     // ==============================================
@@ -591,6 +785,9 @@ class FerreteriaSearchSystem {
         this.state.offset = end;
         this.state.hasMore = end < this.state.results.length;
         
+        // Actualizar "mostrando X de Y"
+        this.updateResultsInfo();
+        
         // Ocultar loader de scroll
         if (this.refs.scrollLoader) {
             this.refs.scrollLoader.style.display = 'none';
@@ -606,21 +803,27 @@ class FerreteriaSearchSystem {
             cardElement.className = 'product-card';
         }
         
-        const { product, score } = result;
+        const { product, index, score } = result;
         
         // Plantilla ultra compacta y optimizada
         cardElement.innerHTML = `
-            <div class="product-header">
+            <div class="product-header" data-action="details" data-index="${index}">
                 <div class="product-code">${this.escapeHtml(product.codigo)}</div>
                 <div class="product-desc">${this.escapeHtml(product.descripcion)}</div>
             </div>
             <div class="product-meta">
                 ${product.marca ? `<span class="product-brand">${this.escapeHtml(product.marca)}</span>` : ''}
-                <span class="product-price">${this.formatPrice(product.precio_venta)}</span>
+                <span class="product-price">${this.formatPrice(this.getPrice(product))}</span>
             </div>
-            ${product.rubro ? `<div class="product-rubro">${this.escapeHtml(product.rubro)}</div>` : ''}
+            ${product.rubro ? this.renderRubroBadge(product) : ''}
+            ${this.renderPriceChangeBadge(product)}
+            <label class="print-tick" title="Incluir en el presupuesto impreso">
+                <input type="checkbox" data-action="print-tick" data-index="${index}"${this.printSelection.has(this.getCartKey(product)) ? ' checked' : ''}>
+                Presupuesto
+            </label>
             <div class="product-actions">
-                <button class="btn-whatsapp" data-action="whatsapp" data-product='${this.escapeJson(product)}'>
+                ${this.renderCartControl(product, index)}
+                <button class="btn-whatsapp" data-action="whatsapp" data-index="${index}">
                     <span class="whatsapp-icon">💬</span>
                     <span>Consultar</span>
                 </button>
@@ -630,6 +833,44 @@ class FerreteriaSearchSystem {
         return cardElement;
     }
 
+    renderRubroBadge(product) {
+        // Rubro asignado por el conversor (no vino del sistema de origen)
+        if (product.rubro_inferido) {
+            return `<div class="product-rubro is-inferred" title="Rubro asignado automáticamente">${this.escapeHtml(product.rubro)}</div>`;
+        }
+        return `<div class="product-rubro">${this.escapeHtml(product.rubro)}</div>`;
+    }
+
+    renderPriceChangeBadge(product) {
+        const change = this.getPriceChange(product);
+        if (!change) return '';
+        
+        const text = change.percent >= 1
+            ? `${change.direction} ${Math.round(change.percent)}%`
+            : change.direction;
+        
+        return `<div class="price-change ${change.isIncrease ? 'is-up' : 'is-down'}" title="Antes $${this.formatPrice(product.precio_anterior)}">${text}</div>`;
+    }
+
+    getPriceChange(product) {
+        // El historial es de la primera lista (precio_venta)
+        if (this.state.priceList) return null;
+        
+        const previous = Number(product.precio_anterior);
+        if (!previous || !product.fecha_cambio || previous === product.precio_venta) return null;
+        
+        // Solo cambios recientes: un aumento de hace meses ya no es noticia
+        const ageDays = (Date.now() - this.parseDate(product.fecha_cambio)) / 86400000;
+        if (!(ageDays <= this.CONFIG.PRICE_CHANGE_DAYS)) return null;
+        
+        const isIncrease = product.precio_venta > previous;
+        return {
+            isIncrease,
+            direction: isIncrease ? 'subió' : 'bajó',
+            percent: Math.abs(product.precio_venta - previous) / previous * 100
+        };
+    }
+
     handleScroll() {
         if (!this.state.hasMore || this.state.isLoading) return;
         
@@ -638,11 +879,11 @@ class FerreteriaSearchSystem {
         
         if (!viewport || !container) return;
         
-        const scrollBottom = viewport.scrollTop + viewport.clientHeight;
-        const containerBottom = container.scrollHeight;
+        const visibleBottom = Math.min(viewport.getBoundingClientRect().bottom, window.innerHeight);
+        const containerBottom = container.getBoundingClientRect().bottom;
         
         // Cargar más productos cuando esté cerca del final
-        if (scrollBottom >= containerBottom - 100) {
+        if (containerBottom <= visibleBottom + 100) {
             this.state.isLoading = true;
             
             // Mostrar loader
@@ -669,42 +910,66 @@ class FerreteriaSearchSystem {
         event.stopPropagation();
         
         const action = button.dataset.action;
-        const productData = button.dataset.product;
+        const product = this.getActionProduct(button);
         
-        if (!productData) return;
+        if (!product) return;
         
-        try {
-            const product = JSON.parse(productData.replace(/&quot;/g, '"'));
-            
-            switch (action) {
-                case 'whatsapp':
-                    this.openWhatsApp(product);
-                    break;
-                case 'details':
-                    this.showProductDetails(product);
-                    break;
-            }
-        } catch (error) {
-            console.error('Error procesando click:', error);
+        switch (action) {
+            case 'whatsapp':
+                this.openWhatsApp(product);
+                break;
+            case 'details':
+                this.showProductDetails(product, Number(button.dataset.index));
+                break;
+            case 'cart-add':
+            case 'cart-increase':
+                this.changeCartQuantity(product, 1);
+                break;
+            case 'cart-decrease':
+                this.changeCartQuantity(product, -1);
+                break;
+            case 'cart-remove':
+                this.removeFromCart(product);
+                break;
+            case 'print-tick':
+                this.togglePrintSelection(product, button.checked);
+                break;
         }
     }
 
-    openWhatsApp(product) {
-        const message = `Hola, quiero consultar por:
-${product.descripcion}
-Código: ${product.codigo}
-Precio: $${this.formatPrice(product.precio_venta)}`;
+    getActionProduct(button) {
+        // Tarjetas y modal llevan la posición en el catálogo; la cotización, la
+        // clave del ítem (puede haber productos que ya no están en la lista)
+        if (button.dataset.index !== undefined) {
+            return this.state.products[Number(button.dataset.index)] || null;
+        }
         
-        const url = `https://wa.me/?text=${encodeURIComponent(message)}`;
+        const item = this.cart.get(button.dataset.cartKey);
+        return item ? item.product : null;
+    }
+
+    openWhatsApp(product) {
+        const message = this.fillTemplate(
+            this.shopConfig.plantillas.consulta,
+            this.getTemplateValues(product)
+        );
         
-        // Abrir en nueva pestaña
-        window.open(url, '_blank', 'noopener,noreferrer');
+        this.openWhatsAppMessage(message);
         
         // Registrar estadística
         this.stats.searchCount++;
     }
 
-    showProductDetails(product) {
+    openWhatsAppMessage(message) {
+        // Con número configurado el chat se abre directo con el comercio
+        const phone = String(this.shopConfig.whatsapp || '').replace(/\D/g, '');
+        const url = `https://wa.me/${phone}?text=${encodeURIComponent(message)}`;
+        
+        // Abrir en nueva pestaña
+        window.open(url, '_blank', 'noopener,noreferrer');
+    }
+
+    showProductDetails(product, index) {
         if (!this.refs.modalOverlay || !this.refs.modalBody) return;
         
         // Actualizar contenido del modal
@@ -727,12 +992,14 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
                 ${product.rubro ? `
                 <p>
                     <strong>Rubro:</strong>
-                    <span>${this.escapeHtml(product.rubro)}</span>
+                    <span>${this.escapeHtml(product.rubro)}${product.rubro_inferido ? ' <em>(asignado automáticamente)</em>' : ''}</span>
                 </p>
                 ` : ''}
                 <div class="modal-price-large">
-                    ${this.formatPrice(product.precio_venta)}
+                    ${this.formatPrice(this.getPrice(product))}
                 </div>
+                ${this.renderPriceHistory(product)}
+                ${this.renderCartControl(product, index)}
             </div>
         `;
         
@@ -751,6 +1018,26 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
         document.body.style.overflow = 'hidden';
     }
 
+    renderPriceHistory(product) {
+        // historial: [{ fecha, precio }] del más viejo al vigente (lo arma el conversor)
+        const history = Array.isArray(product.historial) && !this.state.priceList ? product.historial : [];
+        if (history.length < 2) return '';
+        
+        const items = history.slice().reverse().map((entry, i) => `
+            <li${i === 0 ? ' class="is-current"' : ''}>
+                <span>${entry.fecha ? this.formatShortDate(entry.fecha) : 'Antes'}</span>
+                <span>${this.formatPrice(entry.precio)}</span>
+            </li>
+        `).join('');
+        
+        return `
+            <div class="price-history">
+                <strong>Historial de precios</strong>
+                <ul>${items}</ul>
+            </div>
+        `;
+    }
+
     hideModal() {
         if (this.refs.modalOverlay) {
             this.refs.modalOverlay.style.display = 'none';
@@ -775,16 +1062,46 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
         }).format(Math.round(price));
     }
 
+    parseDate(fecha) {
+        // 'AAAA-MM-DD' como fecha local (new Date() la tomaría en UTC)
+        return new Date(`${fecha}T00:00:00`).getTime();
+    }
+
+    formatShortDate(fecha) {
+        return new Date(this.parseDate(fecha)).toLocaleDateString('es-AR', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+    }
+
     escapeHtml(text) {
         if (!text) return '';
         
         const div = document.createElement('div');
         div.textContent = String(text);
-        return div.innerHTML;
+        
+        // Comillas también: se usa dentro de atributos (data-cart-key="...")
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    fillTemplate(template, values) {
+        // {clave} → valor; las claves desconocidas quedan como están
+        return String(template).replace(/\{(\w+)\}/g, (match, key) =>
+            values[key] !== undefined ? values[key] : match
+        );
     }
 
-    escapeJson(obj) {
-        return JSON.stringify(obj).replace(/"/g, '&quot;');
+    getTemplateValues(product) {
+        return {
+            tienda: this.shopConfig.nombre,
+            descripcion: product.descripcion,
+            codigo: product.codigo,
+            marca: product.marca || '',
+            rubro: product.rubro || '',
+            precio: this.formatPrice(this.getPrice(product)),
+            lista: this.getPriceListName()
+        };
     }
 
     // ==============================================
@@ -813,9 +1130,36 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
         if (this.refs.resultsInfo) {
             this.refs.resultsInfo.style.display = 'none';
         }
+        this.updateSuggestion();
         this.updateProductCount();
     }
 
+    async updateSuggestion() {
+        if (!this.refs.didYouMean || !this.refs.suggestionBtn) return;
+        
+        this.refs.didYouMean.style.display = 'none';
+        if (!this.state.searchTerm) return;
+        
+        const searchTerm = this.state.searchTerm;
+        let suggestion = null;
+        try {
+            ({ suggestion } = await this.requestWorker('suggest', { searchTerm }));
+        } catch (error) {
+            console.warn('⚠️ No se pudo calcular la sugerencia:', error);
+            return;
+        }
+        
+        // El usuario pudo seguir escribiendo mientras tanto
+        if (searchTerm !== this.state.searchTerm) return;
+        
+        if (suggestion) {
+            this.refs.suggestionBtn.textContent = suggestion;
+            this.refs.didYouMean.style.display = 'block';
+        } else {
+            this.refs.didYouMean.style.display = 'none';
+        }
+    }
+
     showLoadingState() {
         this.hideAllStates();
         if (this.refs.loadingState) {
@@ -842,6 +1186,45 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
         }
     }
 
+    showUpdateBanner() {
+        if (this.refs.updateBanner) {
+            this.refs.updateBanner.style.display = 'flex';
+        }
+    }
+
+    hideUpdateBanner() {
+        if (this.refs.updateBanner) {
+            this.refs.updateBanner.style.display = 'none';
+        }
+    }
+
+    setOfflineMode(isOffline) {
+        this.state.isOffline = isOffline;
+        
+        const indicator = this.refs.offlineIndicator;
+        if (!indicator) return;
+        
+        if (!isOffline) {
+            indicator.style.display = 'none';
+            return;
+        }
+        
+        // Indicador no bloqueante: el catálogo guardado sigue buscable
+        const catalogDate = this.getCatalogDate() || this.state.catalogSavedAt;
+        const dateString = catalogDate
+            ? new Date(catalogDate).toLocaleDateString('es-AR', {
+                day: 'numeric',
+                month: 'long',
+                year: 'numeric'
+            })
+            : null;
+        
+        indicator.textContent = dateString
+            ? `📴 Sin conexión · mostrando lista del ${dateString}`
+            : '📴 Sin conexión · mostrando la última lista guardada';
+        indicator.style.display = 'block';
+    }
+
     showErrorState(message) {
         this.hideAllStates();
         
@@ -915,26 +1298,34 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
         if (!this.refs.productCount) return;
         
         const total = this.state.products.length;
-        const showing = this.state.searchTerm || this.state.currentRubro 
+        const isFiltered = this.state.searchTerm || this.hasActiveFilters();
+        const showing = isFiltered 
             ? this.state.results.length 
             : Math.min(total, 10);
         
         let text = `${total} productos`;
         
-        if (this.state.searchTerm || this.state.currentRubro) {
+        if (isFiltered) {
             text = `${showing} de ${total} productos`;
         }
         
-        this.refs.productCount.textContent = text;
+        // Versión del catálogo en uso (hash corto)
+        if (this.state.catalogVersion) {
+            text += ` · catálogo ${this.state.catalogVersion}`;
+        }
+        
+        this.refs.productCount.textContent = text;
     }
 
     updateResultsInfo() {
         if (!this.refs.resultsCount) return;
         
-        const showing = this.state.results.length;
-        const total = this.state.products.length;
+        const total = this.state.results.length;
+        const showing = Math.min(this.state.offset, total);
         
-        this.refs.resultsCount.textContent = `${showing} resultado${showing !== 1 ? 's' : ''}`;
+        this.refs.resultsCount.textContent = showing < total
+            ? `${total} resultados · mostrando ${showing} de ${total}`
+            : `${total} resultado${total !== 1 ? 's' : ''}`;
         
         // Mostrar tiempo de búsqueda si es relevante
         if (this.state.lastSearchTime > 0 && this.state.searchTerm) {
@@ -954,17 +1345,74 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
         this.stats.searchCount++;
         
         if (!fromCache) {
-            console.log(`🔍 Búsqueda: "${this.state.searchTerm}" - ${this.state.results.length} resultados en ${searchTime.toFixed(0)}ms`);
+            const label = this.state.searchTerm ? `"${this.state.searchTerm}"` : 'por filtros';
+            console.log(`🔍 Búsqueda: ${label} - ${this.state.results.length} resultados en ${searchTime.toFixed(0)}ms`);
         }
     }
 
     updateRubroFilter() {
-        const select = this.refs.rubroFilter;
+        const facets = this.state.facets;
+        
+        this.renderFacetOptions(
+            this.refs.rubroFilter,
+            this.state.rubros,
+            facets ? facets.rubros : null,
+            this.state.currentRubro
+        );
+    }
+
+    updateMarcaFilter() {
+        const facets = this.state.facets;
+        
+        this.renderFacetOptions(
+            this.refs.marcaFilter,
+            this.state.marcas,
+            facets ? facets.marcas : null,
+            this.state.currentMarca
+        );
+    }
+
+    updateCategoryGrid() {
+        const grid = this.refs.categoryGrid;
+        if (!grid) return;
+        
+        // Rubros con más productos primero
+        const counts = new Map();
+        this.state.products.forEach(product => {
+            if (product.rubro) {
+                counts.set(product.rubro, (counts.get(product.rubro) || 0) + 1);
+            }
+        });
+        
+        const rubros = Array.from(counts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.CONFIG.LANDING_CATEGORIES);
+        
+        grid.innerHTML = rubros.map(([rubro, count]) => `
+            <button type="button" class="category-chip" data-rubro="${this.escapeHtml(rubro)}">
+                ${this.escapeHtml(rubro)} <span class="category-count">${count}</span>
+            </button>
+        `).join('');
+        grid.style.display = rubros.length > 0 ? '' : 'none';
+    }
+
+    updateFacetFilters() {
+        this.updateRubroFilter();
+        this.updateMarcaFilter();
+    }
+
+    renderFacetOptions(select, values, counts, selected) {
         if (!select) return;
         
-        // Ordenar rubros alfabéticamente
-        const rubros = Array.from(this.state.rubros)
-            .filter(rubro => rubro && rubro.trim())
+        // Con búsqueda activa: solo opciones con productos, con su cantidad
+        const countMap = counts ? new Map(counts) : null;
+        if (countMap && selected && !countMap.has(selected)) {
+            countMap.set(selected, 0);
+        }
+        
+        // Ordenar alfabéticamente
+        const options = Array.from(countMap ? countMap.keys() : values)
+            .filter(value => value && value.trim())
             .sort((a, b) => a.localeCompare(b));
         
         // Limpiar opciones existentes (excepto la primera)
@@ -972,19 +1420,21 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
             select.remove(1);
         }
         
-        // Agregar rubros
-        rubros.forEach(rubro => {
+        options.forEach(value => {
             const option = document.createElement('option');
-            option.value = rubro;
-            option.textContent = rubro;
+            option.value = value;
+            option.textContent = countMap ? `${value} (${countMap.get(value)})` : value;
             select.appendChild(option);
         });
+        
+        // Conservar la selección si el catálogo se recargó
+        select.value = selected;
     }
 
     updateLastUpdateDate() {
         if (!this.refs.lastUpdate) return;
         
-        const now = new Date();
+        const catalogDate = this.getCatalogDate();
         const options = { 
             weekday: 'long', 
             year: 'numeric', 
@@ -994,8 +1444,46 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
             minute: '2-digit'
         };
         
-        const dateString = now.toLocaleDateString('es-AR', options);
-        this.refs.lastUpdate.textContent = `Última actualización: ${dateString}`;
+        // Sin catalog-meta.json no se sabe cuándo se generó la lista:
+        // se informa cuándo se descargó, sin presentarlo como fecha de precios
+        if (!catalogDate) {
+            this.refs.lastUpdate.textContent = this.state.catalogSavedAt
+                ? `Lista descargada el ${new Date(this.state.catalogSavedAt).toLocaleDateString('es-AR', options)}`
+                : '';
+            this.refs.lastUpdate.classList.remove('is-stale');
+            this.updateStaleWarning(null);
+            return;
+        }
+        
+        const dateString = catalogDate.toLocaleDateString('es-AR', options);
+        this.refs.lastUpdate.textContent = `Lista de precios del ${dateString}`;
+        
+        const ageDays = Math.floor((Date.now() - catalogDate.getTime()) / 86400000);
+        const isStale = ageDays > this.CONFIG.STALE_CATALOG_DAYS;
+        
+        this.refs.lastUpdate.classList.toggle('is-stale', isStale);
+        this.updateStaleWarning(isStale ? ageDays : null);
+    }
+
+    getCatalogDate() {
+        const meta = this.state.catalogMeta;
+        if (!meta || !meta.generado) return null;
+        
+        const date = new Date(meta.generado);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    updateStaleWarning(ageDays) {
+        const warning = this.refs.staleWarning;
+        if (!warning) return;
+        
+        if (ageDays === null) {
+            warning.style.display = 'none';
+            return;
+        }
+        
+        warning.textContent = `⚠️ La lista de precios tiene ${ageDays} días. Consultá los precios antes de confirmar.`;
+        warning.style.display = 'block';
     }
 
     // ==============================================
@@ -1005,16 +1493,27 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
     clearSearch() {
         this.state.searchTerm = '';
         this.state.currentRubro = '';
+        this.state.currentMarca = '';
+        this.state.priceMin = null;
+        this.state.priceMax = null;
+        this.state.facets = null;
         this.state.results = [];
         
         if (this.refs.searchInput) {
             this.refs.searchInput.value = '';
         }
         
-        if (this.refs.rubroFilter) {
-            this.refs.rubroFilter.value = '';
+        if (this.refs.priceMin) {
+            this.refs.priceMin.value = '';
+        }
+        
+        if (this.refs.priceMax) {
+            this.refs.priceMax.value = '';
         }
         
+        // Volver a las listas completas de rubros y marcas
+        this.updateFacetFilters();
+        
         if (this.refs.clearBtn) {
             this.refs.clearBtn.style.display = 'none';
         }
@@ -1026,6 +1525,27 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
         this.showEmptyState();
     }
 
+    applySuggestion(suggestion) {
+        if (!suggestion) return;
+        
+        if (this.refs.searchInput) {
+            this.refs.searchInput.value = suggestion;
+        }
+        
+        this.state.searchTerm = suggestion;
+        this.performSearch();
+    }
+
+    browseRubro(rubro) {
+        // Listar el rubro completo sin texto de búsqueda
+        this.state.currentRubro = rubro;
+        if (this.refs.rubroFilter) {
+            this.refs.rubroFilter.value = rubro;
+        }
+        
+        this.performSearch();
+    }
+
     resetSearch() {
         this.clearSearch();
         this.showEmptyState();
@@ -1036,18 +1556,37 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
         
         switch (sortType) {
             case 'price_asc':
-                this.state.results.sort((a, b) => a.product.precio_venta - b.product.precio_venta);
+                this.state.results.sort((a, b) => this.getPrice(a.product) - this.getPrice(b.product));
                 break;
             case 'price_desc':
-                this.state.results.sort((a, b) => b.product.precio_venta - a.product.precio_venta);
+                this.state.results.sort((a, b) => this.getPrice(b.product) - this.getPrice(a.product));
+                break;
+            case 'name':
+                this.state.results.sort((a, b) => this.collator.compare(a.product.descripcion, b.product.descripcion));
+                break;
+            case 'recent':
+                // Fechas 'AAAA-MM-DD': se comparan como texto; sin cambios van al final
+                this.state.results.sort((a, b) =>
+                    (b.product.fecha_cambio || '').localeCompare(a.product.fecha_cambio || '') ||
+                    b.score - a.score
+                );
                 break;
             case 'relevance':
             default:
-                this.state.results.sort((a, b) => b.score - a.score);
+                // Explorando sin texto todos empatan: desempatar por descripción
+                this.state.results.sort((a, b) =>
+                    b.score - a.score || this.collator.compare(a.product.descripcion, b.product.descripcion)
+                );
                 break;
         }
     }
 
+    applyCurrentSort() {
+        if (this.refs.sortFilter) {
+            this.sortResults(this.refs.sortFilter.value);
+        }
+    }
+
     setupInitialUI() {
         // Precargar nodos para el pool
         for (let i = 0; i < 10; i++) {
@@ -1059,6 +1598,619 @@ Precio: $${this.formatPrice(product.precio_venta)}`;
         // Mostrar estado inicial
         this.showEmptyState();
     }
+
+    // ==============================================
+    // 11. COTIZACIÓN (LISTA DE PEDIDO)
+    // ==============================================
+
+    loadCart() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.CONFIG.CART_STORAGE_KEY) || '[]');
+            
+            saved.forEach(item => {
+                if (item && item.product && item.product.codigo && item.cantidad > 0) {
+                    this.cart.set(this.getCartKey(item.product), item);
+                }
+            });
+        } catch (error) {
+            // Cotización corrupta o localStorage bloqueado: se empieza vacía
+            console.warn('⚠️ No se pudo recuperar la cotización:', error);
+        }
+    }
+
+    saveCart() {
+        try {
+            localStorage.setItem(
+                this.CONFIG.CART_STORAGE_KEY,
+                JSON.stringify(Array.from(this.cart.values()))
+            );
+        } catch (error) {
+            console.warn('⚠️ No se pudo guardar la cotización:', error);
+        }
+    }
+
+    syncCartWithCatalog() {
+        if (this.cart.size === 0) return;
+        
+        // El mismo producto en la lista vigente: misma clave o, si cambió la
+        // descripción, el único producto con ese código
+        const byKey = new Map();
+        const byCodigo = new Map();
+        this.state.products.forEach(product => {
+            byKey.set(this.getCartKey(product), product);
+            byCodigo.set(product.codigo, byCodigo.has(product.codigo) ? null : product);
+        });
+        
+        const synced = new Map();
+        this.cart.forEach((item, key) => {
+            // Actualizar descripción y precio con la lista vigente
+            const product = byKey.get(key) || byCodigo.get(item.product.codigo);
+            if (product) {
+                item.product = this.getCartProduct(product);
+            }
+            
+            const newKey = this.getCartKey(item.product);
+            const existing = synced.get(newKey);
+            if (existing) {
+                existing.cantidad += item.cantidad;
+            } else {
+                synced.set(newKey, item);
+            }
+        });
+        this.cart = synced;
+        
+        this.saveCart();
+        this.renderCart();
+    }
+
+    getCartKey(product) {
+        // El código no es único en la lista: hay códigos compartidos por productos distintos
+        return JSON.stringify([product.codigo, product.descripcion]);
+    }
+
+    getCartProduct(product) {
+        // Solo lo necesario para cotizar: la cotización vive en localStorage
+        return {
+            codigo: product.codigo,
+            descripcion: product.descripcion,
+            marca: product.marca,
+            precio_venta: product.precio_venta,
+            precios: product.precios
+        };
+    }
+
+    changeCartQuantity(product, delta) {
+        const key = this.getCartKey(product);
+        const item = this.cart.get(key);
+        const cantidad = (item ? item.cantidad : 0) + delta;
+        
+        if (cantidad <= 0) {
+            this.cart.delete(key);
+        } else {
+            this.cart.set(key, {
+                product: item ? item.product : this.getCartProduct(product),
+                cantidad: cantidad
+            });
+        }
+        
+        this.saveCart();
+        this.renderCart();
+        this.updateCartControls(product);
+    }
+
+    removeFromCart(product) {
+        const key = this.getCartKey(product);
+        const item = this.cart.get(key);
+        if (!item) return;
+        
+        this.cart.delete(key);
+        this.saveCart();
+        this.renderCart();
+        this.updateCartControls(item.product);
+    }
+
+    clearCart() {
+        const products = Array.from(this.cart.values(), item => item.product);
+        
+        this.cart.clear();
+        this.saveCart();
+        this.renderCart();
+        products.forEach(product => this.updateCartControls(product));
+    }
+
+    getCartTotal() {
+        let total = 0;
+        this.cart.forEach(item => {
+            total += this.getPrice(item.product) * item.cantidad;
+        });
+        return total;
+    }
+
+    renderCartControl(product, index = null) {
+        // Con la posición en el catálogo se puede agregar; sin ella (en la
+        // cotización) los botones actúan sobre el ítem guardado
+        const position = index !== null ? ` data-index="${index}"` : '';
+        
+        return `
+            <div class="cart-control" data-cart-key="${this.escapeHtml(this.getCartKey(product))}"${position}>
+                ${this.renderCartControlButtons(product, index)}
+            </div>
+        `;
+    }
+
+    renderCartControlButtons(product, index = null) {
+        const key = this.getCartKey(product);
+        const item = this.cart.get(key);
+        const target = index !== null
+            ? `data-index="${index}"`
+            : `data-cart-key="${this.escapeHtml(key)}"`;
+        
+        if (!item) {
+            return `
+                <button class="cart-add-btn" data-action="cart-add" ${target}>
+                    ➕ Agregar
+                </button>
+            `;
+        }
+        
+        return `
+            <div class="cart-stepper">
+                <button data-action="cart-decrease" ${target} aria-label="Quitar uno">−</button>
+                <span class="cart-quantity">${item.cantidad}</span>
+                <button data-action="cart-increase" ${target} aria-label="Agregar uno">+</button>
+            </div>
+        `;
+    }
+
+    updateCartControls(product) {
+        // Tarjetas visibles, modal y cotización muestran la misma cantidad
+        const key = this.getCartKey(product);
+        document.querySelectorAll('.cart-control').forEach(control => {
+            if (control.dataset.cartKey === key) {
+                const index = control.dataset.index;
+                control.innerHTML = this.renderCartControlButtons(product, index !== undefined ? Number(index) : null);
+            }
+        });
+    }
+
+    renderCart() {
+        const total = this.getCartTotal();
+        
+        // Barra inferior: solo si hay productos en la cotización
+        if (this.refs.cartBar) {
+            this.refs.cartBar.style.display = this.cart.size > 0 ? 'flex' : 'none';
+        }
+        document.body.classList.toggle('has-cart', this.cart.size > 0);
+        if (this.refs.cartBarCount) {
+            this.refs.cartBarCount.textContent = this.cart.size;
+        }
+        if (this.refs.cartBarTotal) {
+            this.refs.cartBarTotal.textContent = this.formatPrice(total);
+        }
+        if (this.refs.cartTotal) {
+            this.refs.cartTotal.textContent = this.formatPrice(total);
+        }
+        if (this.refs.cartWhatsAppBtn) {
+            this.refs.cartWhatsAppBtn.disabled = this.cart.size === 0;
+        }
+        if (this.refs.cartPrintBtn) {
+            this.refs.cartPrintBtn.disabled = this.cart.size === 0;
+        }
+        
+        if (!this.refs.cartItems) return;
+        
+        if (this.cart.size === 0) {
+            this.refs.cartItems.innerHTML = '<p class="cart-empty">Todavía no agregaste productos a la cotización.</p>';
+            return;
+        }
+        
+        this.refs.cartItems.innerHTML = Array.from(this.cart.values(), ({ product, cantidad }) => `
+            <div class="cart-item">
+                <div class="cart-item-info">
+                    <div class="product-code">${this.escapeHtml(product.codigo)}</div>
+                    <div class="cart-item-desc">${this.escapeHtml(product.descripcion)}</div>
+                    <div class="cart-item-price">
+                        $${this.formatPrice(this.getPrice(product))} c/u ·
+                        <strong>$${this.formatPrice(this.getPrice(product) * cantidad)}</strong>
+                    </div>
+                </div>
+                <div class="cart-item-actions">
+                    ${this.renderCartControl(product)}
+                    <button class="cart-remove-btn" data-action="cart-remove" data-cart-key="${this.escapeHtml(this.getCartKey(product))}" aria-label="Quitar de la cotización">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    showCart() {
+        if (!this.refs.cartOverlay) return;
+        
+        this.renderCart();
+        this.refs.cartOverlay.style.display = 'flex';
+        
+        // Prevenir scroll del body
+        document.body.style.overflow = 'hidden';
+    }
+
+    hideCart() {
+        if (this.refs.cartOverlay) {
+            this.refs.cartOverlay.style.display = 'none';
+        }
+        
+        // Restaurar scroll del body
+        document.body.style.overflow = '';
+    }
+
+    sendCartWhatsApp() {
+        if (this.cart.size === 0) return;
+        
+        const { plantillas, nombre } = this.shopConfig;
+        
+        const lines = Array.from(this.cart.values(), ({ product, cantidad }, index) =>
+            this.fillTemplate(plantillas.lineaCotizacion, {
+                ...this.getTemplateValues(product),
+                numero: index + 1,
+                cantidad: cantidad,
+                subtotal: this.formatPrice(this.getPrice(product) * cantidad)
+            })
+        );
+        
+        const message = this.fillTemplate(plantillas.cotizacion, {
+            tienda: nombre,
+            lista: this.getPriceListName(),
+            productos: lines.join('\n\n'),
+            total: this.formatPrice(this.getCartTotal())
+        });
+        
+        this.openWhatsAppMessage(message);
+    }
+
+    // ==============================================
+    // 12. PRESUPUESTO IMPRIMIBLE
+    // ==============================================
+
+    togglePrintSelection(product, selected) {
+        const key = this.getCartKey(product);
+        
+        if (selected) {
+            this.printSelection.set(key, product);
+        } else {
+            this.printSelection.delete(key);
+        }
+        
+        this.updatePrintButton();
+    }
+
+    clearPrintSelection() {
+        this.printSelection.clear();
+        
+        document.querySelectorAll('[data-action="print-tick"]').forEach(input => {
+            input.checked = false;
+        });
+        
+        this.updatePrintButton();
+    }
+
+    syncPrintSelection() {
+        if (this.printSelection.size === 0) return;
+        
+        // Precios de la lista vigente; lo que ya no está queda destildado
+        const synced = new Map();
+        this.state.products.forEach(product => {
+            const key = this.getCartKey(product);
+            if (this.printSelection.has(key)) {
+                synced.set(key, product);
+            }
+        });
+        
+        this.printSelection = synced;
+        this.updatePrintButton();
+    }
+
+    updatePrintButton() {
+        const count = this.printSelection.size;
+        
+        if (this.refs.printResultsBtn) {
+            this.refs.printResultsBtn.textContent = count > 0 ? `🖨️ Imprimir tildados (${count})` : '🖨️ Imprimir';
+        }
+        if (this.refs.clearPrintSelectionBtn) {
+            this.refs.clearPrintSelectionBtn.style.display = count > 0 ? '' : 'none';
+        }
+    }
+
+    printResults() {
+        // Productos tildados en las tarjetas: presupuesto con cantidades y total
+        if (this.printSelection.size > 0) {
+            this.printQuote(Array.from(this.printSelection.values(), product => ({ product, cantidad: 1 })));
+            return;
+        }
+        
+        const results = this.state.results;
+        if (results.length === 0) return;
+        
+        // Todo el resultado filtrado y ordenado, no solo lo renderizado
+        if (results.length > this.CONFIG.PRINT_CONFIRM_ITEMS &&
+            !confirm(`La lista va a tener ${results.length} productos. ¿Imprimir igual?`)) {
+            return;
+        }
+        
+        // Lista de precios, no presupuesto: sin cantidades ni total
+        this.printQuote(results.map(({ product }) => ({ product })), { quantities: false });
+    }
+
+    printCart() {
+        if (this.cart.size === 0) return;
+        
+        this.printQuote(Array.from(this.cart.values()));
+    }
+
+    printQuote(items, options) {
+        if (!this.refs.printQuote) return;
+        
+        this.refs.printQuote.innerHTML = this.renderPrintQuote(items, options);
+        document.body.classList.add('printing-quote');
+        
+        // El usuario elige impresora o "Guardar como PDF"
+        window.print();
+    }
+
+    renderPrintQuote(items, { quantities = true } = {}) {
+        const { nombre, whatsapp } = this.shopConfig;
+        const dateOptions = { day: 'numeric', month: 'long', year: 'numeric' };
+        const catalogDate = this.getCatalogDate();
+        
+        let total = 0;
+        const rows = items.map(({ product, cantidad }) => {
+            const precio = this.getPrice(product);
+            
+            // Cantidad y subtotal solo en el presupuesto (la lista de precios no los tiene)
+            let quantityCells = '';
+            if (quantities) {
+                const subtotal = precio * cantidad;
+                total += subtotal;
+                quantityCells = `
+                    <td class="quote-number">${cantidad}</td>
+                    <td class="quote-number">$${this.formatPrice(subtotal)}</td>
+                `;
+            }
+            
+            return `
+                <tr>
+                    <td>${this.escapeHtml(product.codigo)}</td>
+                    <td>${this.escapeHtml(product.descripcion)}</td>
+                    <td>${this.escapeHtml(product.marca)}</td>
+                    <td class="quote-number">$${this.formatPrice(precio)}</td>
+                    ${quantityCells}
+                </tr>
+            `;
+        }).join('');
+        
+        return `
+            <div class="quote-header">
+                <div>
+                    <h1>${this.escapeHtml(nombre)}</h1>
+                    <p>${quantities ? 'Presupuesto' : 'Lista de precios'}${this.state.priceList ? ` · Lista ${this.escapeHtml(this.getPriceListName())}` : ''}</p>
+                    ${whatsapp ? `<p>WhatsApp: ${this.escapeHtml(whatsapp)}</p>` : ''}
+                </div>
+                <div class="quote-dates">
+                    <p>Fecha: ${new Date().toLocaleDateString('es-AR', dateOptions)}</p>
+                    ${catalogDate ? `<p>Lista de precios del ${catalogDate.toLocaleDateString('es-AR', dateOptions)}</p>` : ''}
+                </div>
+            </div>
+            <table class="quote-table">
+                <thead>
+                    <tr>
+                        <th>Código</th>
+                        <th>Descripción</th>
+                        <th>Marca</th>
+                        <th class="quote-number">${quantities ? 'Precio unit.' : 'Precio'}</th>
+                        ${quantities ? `
+                        <th class="quote-number">Cant.</th>
+                        <th class="quote-number">Subtotal</th>
+                        ` : ''}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                ${quantities ? `
+                <tfoot>
+                    <tr class="quote-total">
+                        <td colspan="5">Total</td>
+                        <td class="quote-number">$${this.formatPrice(total)}</td>
+                    </tr>
+                </tfoot>
+                ` : ''}
+            </table>
+            <p class="quote-note">Precios sujetos a modificación sin previo aviso.</p>
+        `;
+    }
+
+    // ==============================================
+    // 13. EXPORTACIÓN A PLANILLA (CSV / EXCEL)
+    // ==============================================
+
+    getExportRows() {
+        // Todo el resultado filtrado y ordenado, no solo lo renderizado
+        const rows = this.state.results.map(({ product }) => [
+            product.codigo,
+            product.descripcion,
+            product.marca,
+            product.rubro,
+            this.getPrice(product)
+        ]);
+        
+        return [['Código', 'Descripción', 'Marca', 'Rubro', 'Precio'], ...rows];
+    }
+
+    getExportFileName(extension) {
+        const label = [this.state.searchTerm, this.state.currentRubro, this.state.currentMarca]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+        
+        const date = new Date().toISOString().slice(0, 10);
+        return `productos${label ? '-' + label : ''}-${date}.${extension}`;
+    }
+
+    exportResultsCsv() {
+        if (this.state.results.length === 0) return;
+        
+        // Separador ";" y coma decimal: Excel en español lo abre en columnas
+        const escapeCell = (value) => {
+            const text = typeof value === 'number'
+                ? String(value).replace('.', ',')
+                : String(value || '');
+            return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const csv = this.getExportRows()
+            .map(row => row.map(escapeCell).join(';'))
+            .join('\r\n');
+        
+        // BOM para que Excel reconozca UTF-8 (acentos y ñ)
+        this.downloadFile('\uFEFF' + csv, this.getExportFileName('csv'), 'text/csv;charset=utf-8');
+    }
+
+    async exportResultsXlsx() {
+        if (this.state.results.length === 0) return;
+        
+        const button = this.refs.exportXlsxBtn;
+        if (button) button.disabled = true;
+        
+        try {
+            await this.loadXlsxLibrary();
+            
+            const worksheet = XLSX.utils.aoa_to_sheet(this.getExportRows());
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, worksheet, 'Productos');
+            XLSX.writeFile(workbook, this.getExportFileName('xlsx'));
+            
+        } catch (error) {
+            console.error('❌ Error exportando a Excel:', error);
+            alert('No se pudo generar el Excel (¿sin conexión?). Probá con CSV.');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    loadXlsxLibrary() {
+        if (window.XLSX) return Promise.resolve();
+        
+        if (!this.xlsxLoader) {
+            this.xlsxLoader = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.CONFIG.XLSX_LIB_URL;
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    // Permitir reintentar más tarde
+                    this.xlsxLoader = null;
+                    script.remove();
+                    reject(new Error('No se pudo cargar SheetJS'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.xlsxLoader;
+    }
+
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // ==============================================
+    // 14. LISTAS DE PRECIOS (MINORISTA / MAYORISTA)
+    // ==============================================
+
+    getPriceLists() {
+        // Solo las listas que el catálogo trae (la primera siempre está)
+        return this.shopConfig.listas.filter((lista, i) =>
+            i === 0 || this.state.products.some(product => product.precios && product.precios[lista.id])
+        );
+    }
+
+    getPrice(product) {
+        // Si el producto no tiene precio en la lista elegida, vale el de siempre
+        const lista = this.state.priceList;
+        return (lista && product.precios && product.precios[lista]) || product.precio_venta;
+    }
+
+    getPriceListName() {
+        const lists = this.shopConfig.listas;
+        const current = lists.find(lista => lista.id === this.state.priceList) || lists[0];
+        return current ? current.nombre : '';
+    }
+
+    updatePriceListFilter() {
+        const select = this.refs.priceListFilter;
+        const lists = this.getPriceLists();
+        
+        // Restaurar la lista elegida antes, si sigue disponible y el código no cambió
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.CONFIG.PRICE_LIST_STORAGE_KEY) || 'null');
+        } catch (error) {
+            console.warn('⚠️ No se pudo leer la lista de precios elegida:', error);
+        }
+        
+        const restored = saved && lists.find((lista, i) =>
+            i > 0 && lista.id === saved.id && (!lista.codigoAcceso || lista.codigoAcceso === saved.codigo)
+        );
+        this.state.priceList = restored ? restored.id : '';
+        
+        if (!select) return;
+        
+        select.innerHTML = lists.map((lista, i) => `
+            <option value="${i === 0 ? '' : this.escapeHtml(lista.id)}">${lista.codigoAcceso ? '🔒 ' : ''}${this.escapeHtml(lista.nombre)}</option>
+        `).join('');
+        select.value = this.state.priceList;
+        
+        // Con una sola lista no hay nada que elegir
+        select.style.display = lists.length > 1 ? '' : 'none';
+    }
+
+    handlePriceListChange(id) {
+        const lista = this.shopConfig.listas.find(item => item.id === id);
+        let codigo = '';
+        
+        if (id && lista && lista.codigoAcceso) {
+            codigo = window.prompt(`Ingresá el código de acceso para la lista ${lista.nombre}:`) || '';
+            
+            if (codigo.trim() !== lista.codigoAcceso) {
+                if (codigo) {
+                    alert('El código de acceso no es correcto.');
+                }
+                this.refs.priceListFilter.value = this.state.priceList;
+                return;
+            }
+            codigo = codigo.trim();
+        }
+        
+        this.state.priceList = id;
+        
+        try {
+            localStorage.setItem(this.CONFIG.PRICE_LIST_STORAGE_KEY, JSON.stringify({ id, codigo }));
+        } catch (error) {
+            console.warn('⚠️ No se pudo guardar la lista de precios elegida:', error);
+        }
+        
+        // Precios, orden y rango de precio cambian con la lista
+        this.renderCart();
+        if (this.state.searchTerm || this.hasActiveFilters()) {
+            this.performSearch();
+        }
+    }
 }
 
 // ==============================================
@@ -1149,18 +2301,29 @@ if ('serviceWorker' in navigator && window.location.hostname !== 'localhost') {
                 console.log('ServiceWorker no registrado:', error);
             });
     });
+    
+    // El service worker avisa cuando revalidó un catálogo distinto
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'CATALOG_UPDATED' && ferreteriaApp) {
+            ferreteriaApp.showUpdateBanner();
+        }
+    });
 }
 
 // Manejar conexión offline
 window.addEventListener('offline', () => {
-    if (ferreteriaApp && ferreteriaApp.showErrorState) {
-        ferreteriaApp.showErrorState('Sin conexión a internet. Los datos pueden no estar actualizados.');
+    if (ferreteriaApp && ferreteriaApp.setOfflineMode) {
+        ferreteriaApp.setOfflineMode(true);
     }
 });
 
 window.addEventListener('online', () => {
-    if (ferreteriaApp && ferreteriaApp.refs && ferreteriaApp.refs.productsContainer) {
-        ferreteriaApp.refs.productsContainer.innerHTML = '';
-        ferreteriaApp.showEmptyState();
+    if (ferreteriaApp && ferreteriaApp.setOfflineMode) {
+        ferreteriaApp.setOfflineMode(false);
+        
+        // Al volver la conexión, verificar si hay precios nuevos
+        if (ferreteriaApp.state.products.length > 0) {
+            ferreteriaApp.refreshCatalog();
+        }
     }
 });
@@ -0,0 +1,898 @@
+// ==============================================
+// CONVERSOR DE LISTA DE PRECIOS (EXCEL → JSON)
+// Lectura, mapeo, normalización, validación y salida.
+// Lo usan conversor.html y la línea de comandos (convert.js)
+// ==============================================
+
+class CatalogConverter {
+    constructor(options = {}) {
+        this.CONFIG = {
+            HEADER_SEARCH_ROWS: 30,        // Filas donde buscar los encabezados
+            PRICE_MIN: 50,                 // Precios menores son sospechosos
+            PRICE_MAX: 10000000,           // Precios mayores también
+            PLACEHOLDER_CODE: /^(0+|sin ?codigo|s\/?c|x+|-+|\.+)$/i,
+            ENCODING_JUNK: /[\u0000-\u001f\u007f\ufffd]|Ã.|Â/,
+            DIFF_NEAR_ZERO_RATIO: 0.05,    // Precio nuevo menor al 5% del anterior
+            DIFF_THRESHOLD: 30,            // Alertar cambios de precio mayores a este %
+            PRICE_HISTORY_MAX: 6,          // Precios guardados por producto (incluye el vigente)
+            CONFLICT_RULES: {              // Códigos que aparecen en más de una fuente
+                prioridad: 'gana la primera fuente',
+                'menor-precio': 'gana el menor precio'
+            },
+            LIMITS: {                      // Límites para publicar (null = sin límite)
+                maxRejectedPct: 10,
+                maxDuplicateCodes: 100
+            },
+            PRICE_LISTS: [                 // Se reemplazan con las de shop-config.json
+                { id: 'minorista', nombre: 'Minorista', columna: 'Lista2' }
+            ]
+        };
+        
+        // SheetJS: global en el navegador, require('xlsx') en Node
+        this.XLSX = options.xlsx || (typeof XLSX !== 'undefined' ? XLSX : null);
+        this.priceLists = Array.isArray(options.priceLists) && options.priceLists.length > 0
+            ? options.priceLists
+            : this.CONFIG.PRICE_LISTS;
+        this.limits = { ...this.CONFIG.LIMITS, ...(options.limits || {}) };
+        this.diffThreshold = options.diffThreshold || this.CONFIG.DIFF_THRESHOLD;
+        this.log = options.log || (() => {});
+        this.engine = null;
+    }
+
+    getEngine() {
+        // En el navegador el motor ya está cargado; en Node se importa
+        if (!this.engine) {
+            const Engine = typeof SearchEngine !== 'undefined' ? SearchEngine : require('./search-engine.js');
+            this.engine = new Engine();
+        }
+        return this.engine;
+    }
+
+    // ==============================================
+    // 1. LECTURA Y MAPEO DE COLUMNAS
+    // ==============================================
+
+    getFields() {
+        // Campos del JSON que se pueden asignar (los de precio salen de las listas)
+        return [
+            { campo: 'codigo', nombre: 'Código', requerido: true, alias: ['codigo', 'cod', 'cod articulo', 'articulo', 'sku'] },
+            { campo: 'descripcion', nombre: 'Descripción', requerido: true, alias: ['descripcion', 'detalle', 'producto', 'nombre'] },
+            { campo: 'rubro', nombre: 'Rubro', requerido: false, alias: ['rubro', 'categoria', 'familia'] },
+            { campo: 'marca', nombre: 'Marca', requerido: false, alias: ['marca', 'fabricante'] },
+            ...this.priceLists.map((lista, i) => ({
+                campo: i === 0 ? 'precio_venta' : `precios.${lista.id}`,
+                nombre: `Precio ${lista.nombre}`,
+                requerido: i === 0,
+                alias: [lista.columna]
+            }))
+        ];
+    }
+
+    readSheet(workbook, sheetName) {
+        // Filas como arrays (incluidas las vacías) y dónde empieza la hoja
+        const worksheet = workbook.Sheets[sheetName];
+        
+        if (!worksheet || !worksheet['!ref']) {
+            return { rows: [], startRow: 0 };
+        }
+        
+        return {
+            rows: this.XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true }),
+            startRow: this.XLSX.utils.decode_range(worksheet['!ref']).s.r
+        };
+    }
+
+    findSheet(workbook) {
+        // La primera hoja donde aparezcan código y descripción
+        const sheetName = workbook.SheetNames.find(name => {
+            const { rows } = this.readSheet(workbook, name);
+            const mapping = this.guessMapping(this.getHeaders(rows, this.detectHeaderRow(rows)));
+            return mapping.codigo && mapping.descripcion;
+        });
+        
+        return sheetName || workbook.SheetNames[0];
+    }
+
+    detectHeaderRow(rows) {
+        // La fila de encabezados es la que nombra código y descripción
+        const limit = Math.min(rows.length, this.CONFIG.HEADER_SEARCH_ROWS);
+        
+        for (let i = 0; i < limit; i++) {
+            const mapping = this.guessMapping(this.getHeaders(rows, i));
+            if (mapping.codigo && mapping.descripcion) {
+                return i;
+            }
+        }
+        
+        // Sin coincidencias: la primera fila con datos
+        const firstFilled = rows.findIndex(row => row.some(cell => String(cell).trim()));
+        return Math.max(firstFilled, 0);
+    }
+
+    getHeaders(rows, index) {
+        // Encabezados sin repetidos ni vacíos
+        const row = rows[index] || [];
+        const seen = new Map();
+        
+        return row.map((cell, i) => {
+            let header = String(cell).trim() || `Columna ${this.XLSX.utils.encode_col(i)}`;
+            const count = (seen.get(header) || 0) + 1;
+            seen.set(header, count);
+            
+            if (count > 1) {
+                header = `${header} (${count})`;
+            }
+            return header;
+        });
+    }
+
+    getDataRows(rows, headerIndex, startRow = 0) {
+        // { fila (número en el Excel), datos: { encabezado: valor } }, sin filas vacías
+        const headers = this.getHeaders(rows, headerIndex);
+        
+        return rows
+            .map((row, index) => ({ row, fila: index + startRow + 1 }))
+            .slice(headerIndex + 1)
+            .filter(({ row }) => row.some(cell => String(cell).trim()))
+            .map(({ row, fila }) => {
+                const datos = {};
+                headers.forEach((header, i) => {
+                    datos[header] = row[i] !== undefined ? row[i] : '';
+                });
+                return { fila, datos };
+            });
+    }
+
+    normalizeHeader(text) {
+        // Sin acentos, signos ni mayúsculas
+        return String(text)
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    guessMapping(headers) {
+        const mapping = {};
+        
+        this.getFields().forEach(field => {
+            const aliases = field.alias.map(alias => this.normalizeHeader(alias));
+            const match = headers.find(header => aliases.includes(this.normalizeHeader(header)));
+            mapping[field.campo] = match || '';
+        });
+        
+        return mapping;
+    }
+
+    matchesPreset(workbook, preset) {
+        // Mismo layout: la hoja existe y tiene todos los encabezados del preset
+        if (!workbook.SheetNames.includes(preset.hoja)) return false;
+        
+        const { rows, startRow } = this.readSheet(workbook, preset.hoja);
+        const headers = this.getHeaders(rows, Math.max(preset.filaEncabezado - 1 - startRow, 0));
+        const columns = Object.values(preset.columnas || {}).filter(Boolean);
+        
+        return columns.length > 0 && columns.every(column => headers.includes(column));
+    }
+
+    applyPreset(workbook, preset) {
+        // Hoja, fila de encabezados y mapeo; los encabezados que ya no existen quedan sin asignar
+        const sheetName = workbook.SheetNames.includes(preset.hoja) ? preset.hoja : workbook.SheetNames[0];
+        const { rows, startRow } = this.readSheet(workbook, sheetName);
+        const headerIndex = Math.max(preset.filaEncabezado - 1 - startRow, 0);
+        const headers = this.getHeaders(rows, headerIndex);
+        
+        const mapping = this.guessMapping(headers);
+        Object.entries(preset.columnas || {}).forEach(([campo, column]) => {
+            mapping[campo] = headers.includes(column) ? column : '';
+        });
+        
+        return { sheetName, rows, startRow, headerIndex, mapping };
+    }
+
+    // ==============================================
+    // 2. NORMALIZACIÓN Y VALIDACIÓN
+    // ==============================================
+
+    parsePrice(value) {
+        // Número positivo o null si no es un precio válido
+        if (value === '' || value === null || value === undefined || value === 0) {
+            return null;
+        }
+        
+        let precioNumero;
+        if (typeof value === 'string') {
+            // Reemplazar coma por punto y eliminar espacios
+            const precioLimpio = value.replace(',', '.').replace(/\s/g, '');
+            precioNumero = parseFloat(precioLimpio);
+        } else {
+            precioNumero = Number(value);
+        }
+        
+        if (isNaN(precioNumero) || precioNumero <= 0) {
+            return null;
+        }
+        
+        return precioNumero;
+    }
+
+    convertRows(dataRows, mapping, fuente = '') {
+        const products = [];
+        const productRows = new Map();   // Producto → fila del Excel
+        const issues = [];
+        let skipped = 0;
+        
+        // Columnas asignadas en el mapeo
+        const codeColumn = mapping.codigo;
+        const descColumn = mapping.descripcion;
+        const rubroColumn = mapping.rubro;
+        const marcaColumn = mapping.marca;
+        const priceColumn = mapping.precio_venta;
+        
+        // Listas adicionales: las que no tienen columna se omiten
+        const extraLists = this.priceLists.slice(1)
+            .map(lista => ({ ...lista, column: mapping[`precios.${lista.id}`] }))
+            .filter(lista => {
+                if (!lista.column) {
+                    this.log(`⚠️ No se asignó columna a la lista ${lista.nombre}; se omite`, 'info');
+                }
+                return Boolean(lista.column);
+            });
+        
+        this.log('Columnas mapeadas:', 'info');
+        this.log(`- ${codeColumn} → codigo`, 'info');
+        this.log(`- ${descColumn} → descripcion`, 'info');
+        if (rubroColumn) this.log(`- ${rubroColumn} → rubro`, 'info');
+        if (marcaColumn) this.log(`- ${marcaColumn} → marca`, 'info');
+        this.log(`- ${priceColumn} → precio_venta`, 'info');
+        extraLists.forEach(lista => {
+            this.log(`- ${lista.column} → precios.${lista.id} (${lista.nombre})`, 'info');
+        });
+        
+        // Procesar cada fila
+        dataRows.forEach(({ fila, datos: row }) => {
+            // Obtener valores de las columnas
+            const rawCodigo = String(row[codeColumn] || '');
+            const rawDescripcion = String(row[descColumn] || '');
+            const codigo = rawCodigo.trim();
+            const descripcion = rawDescripcion.trim();
+            const rubro = rubroColumn ? String(row[rubroColumn] || '').trim() : '';
+            const marca = marcaColumn ? String(row[marcaColumn] || '').trim() : '';
+            const reject = (motivo) => {
+                issues.push({ severidad: 'error', motivo, fila, fuente, codigo, descripcion, rechazada: true });
+                skipped++;
+            };
+            
+            // Validar que tengamos los datos mínimos
+            if (!codigo) {
+                reject('Sin código');
+                return;
+            }
+            if (!descripcion) {
+                reject('Sin descripción');
+                return;
+            }
+            
+            // Validar y normalizar el precio
+            const precioNumero = this.parsePrice(row[priceColumn]);
+            if (precioNumero === null) {
+                reject(`Precio vacío o inválido (${String(row[priceColumn]).trim() || 'vacío'})`);
+                return;
+            }
+            
+            // Problemas que no impiden publicar la fila
+            const warn = (severidad, motivo) => {
+                issues.push({ severidad, motivo, fila, fuente, codigo, descripcion, rechazada: false });
+            };
+            
+            if (this.CONFIG.ENCODING_JUNK.test(rawCodigo + rawDescripcion)) {
+                warn('advertencia', 'Caracteres extraños (problema de codificación)');
+            }
+            if (rawDescripcion !== descripcion || /\s{2,}/.test(descripcion) || rawCodigo !== codigo) {
+                warn('aviso', 'Espacios de más');
+            }
+            if (precioNumero < this.CONFIG.PRICE_MIN || precioNumero > this.CONFIG.PRICE_MAX) {
+                warn('advertencia', 'Precio fuera de rango');
+            }
+            
+            const product = {
+                codigo: codigo,
+                descripcion: descripcion,
+                rubro: rubro,
+                marca: marca,
+                precio_venta: precioNumero
+            };
+            
+            // Fuente de la que salió el producto (proveedor o sistema de gestión)
+            if (fuente) {
+                product.fuente = fuente;
+            }
+            
+            // Precios de las demás listas (sin precio válido, el buscador usa precio_venta)
+            const precios = {};
+            extraLists.forEach(lista => {
+                const precio = this.parsePrice(row[lista.column]);
+                if (precio !== null) {
+                    precios[lista.id] = precio;
+                }
+            });
+            if (Object.keys(precios).length > 0) {
+                product.precios = precios;
+            }
+            
+            products.push(product);
+            productRows.set(product, fila);
+        });
+        
+        this.log(`✅ Conversión completada: ${products.length} productos procesados, ${skipped} filas omitidas`, 'success');
+        
+        return { products, productRows, issues, skipped };
+    }
+
+    validate(products, productRows, issues, totalRows) {
+        // Problemas entre filas y límites para publicar
+        const byCode = new Map();
+        const byDescription = new Map();
+        
+        products.forEach(product => {
+            if (!byCode.has(product.codigo)) byCode.set(product.codigo, []);
+            byCode.get(product.codigo).push(product);
+            
+            const key = product.descripcion.toLowerCase().replace(/\s+/g, ' ');
+            if (!byDescription.has(key)) byDescription.set(key, []);
+            byDescription.get(key).push(product);
+        });
+        
+        const warn = (product, severidad, motivo) => {
+            issues.push({
+                severidad,
+                motivo,
+                fila: productRows.get(product),
+                fuente: product.fuente || '',
+                codigo: product.codigo,
+                descripcion: product.descripcion,
+                rechazada: false
+            });
+        };
+        
+        let duplicateCodes = 0;
+        byCode.forEach((items, codigo) => {
+            if (this.CONFIG.PLACEHOLDER_CODE.test(codigo)) {
+                items.forEach(product => warn(product, 'advertencia', 'Código genérico (no identifica al producto)'));
+            } else if (items.length > 1) {
+                duplicateCodes++;
+                const filas = items.map(product => productRows.get(product)).join(', ');
+                items.forEach(product => warn(product, 'advertencia', `Código repetido (filas ${filas})`));
+            }
+        });
+        
+        byDescription.forEach(items => {
+            const codes = new Set(items.map(product => product.codigo));
+            if (codes.size > 1) {
+                items.forEach(product => {
+                    const others = Array.from(codes).filter(codigo => codigo !== product.codigo);
+                    warn(product, 'aviso', `Descripción repetida con otro código (${others.join(', ')})`);
+                });
+            }
+        });
+        
+        const rejected = issues.filter(issue => issue.rechazada).length;
+        const rejectedPct = totalRows > 0 ? rejected / totalRows * 100 : 0;
+        const { maxRejectedPct, maxDuplicateCodes } = this.limits;
+        const bloqueos = [];
+        
+        if (Number.isFinite(maxRejectedPct) && rejectedPct > maxRejectedPct) {
+            bloqueos.push(`Se rechazó el ${rejectedPct.toFixed(1)}% de las filas (límite ${maxRejectedPct}%)`);
+        }
+        if (Number.isFinite(maxDuplicateCodes) && duplicateCodes > maxDuplicateCodes) {
+            bloqueos.push(`Hay ${duplicateCodes} códigos repetidos (límite ${maxDuplicateCodes})`);
+        }
+        
+        issues.sort((a, b) => a.fila - b.fila);
+        return { issues, rejected, duplicateCodes, bloqueos };
+    }
+
+    // ==============================================
+    // 3. RUBROS POR PALABRAS CLAVE
+    // ==============================================
+
+    parseRubroRules(source) {
+        const data = typeof source === 'string' ? JSON.parse(source) : source;
+        const engine = this.getEngine();
+        
+        // Las palabras se tokenizan igual que en el buscador (sin acentos, minúsculas)
+        return {
+            genericos: new Set((data.rubrosGenericos || []).map(rubro => String(rubro).trim())),
+            reglas: (data.reglas || []).map(regla => ({
+                rubro: String(regla.rubro).trim(),
+                frases: (regla.palabras || [])
+                    .map(palabra => ({ texto: palabra, tokens: engine.tokenize(palabra) }))
+                    .filter(frase => frase.tokens.length > 0)
+            }))
+        };
+    }
+
+    classifyProducts(products, rulesSource) {
+        // Asigna rubro a los productos sin rubro (o con uno genérico)
+        if (!rulesSource || (typeof rulesSource === 'string' && !rulesSource.trim())) {
+            this.log('⚠️ Sin reglas de rubros: se mantienen los rubros del Excel', 'info');
+            return null;
+        }
+        
+        let rules;
+        try {
+            rules = this.parseRubroRules(rulesSource);
+        } catch (error) {
+            this.log(`❌ Las reglas de rubros no son un JSON válido: ${error.message}. Se mantienen los rubros del Excel.`, 'error');
+            return null;
+        }
+        
+        const engine = this.getEngine();
+        const assigned = [];
+        let unclassified = 0;
+        
+        products.forEach(product => {
+            if (product.rubro && !rules.genericos.has(product.rubro)) return;
+            
+            const tokens = engine.tokenize(`${product.descripcion} ${product.marca}`);
+            
+            // Gana la regla con más palabras encontradas; ante empate, la primera
+            let best = null;
+            rules.reglas.forEach(regla => {
+                const found = regla.frases.filter(frase => this.containsPhrase(tokens, frase.tokens));
+                if (found.length > 0 && (!best || found.length > best.found.length)) {
+                    best = { regla, found };
+                }
+            });
+            
+            if (!best) {
+                unclassified++;
+                return;
+            }
+            
+            assigned.push({
+                product: product,
+                rubroOriginal: product.rubro,
+                palabras: best.found.map(frase => frase.texto)
+            });
+            
+            product.rubro = best.regla.rubro;
+            product.rubro_inferido = true;
+        });
+        
+        // Resumen por rubro asignado
+        const porRubro = {};
+        assigned.forEach(({ product }) => {
+            porRubro[product.rubro] = (porRubro[product.rubro] || 0) + 1;
+        });
+        
+        this.log(`🏷️ Rubros asignados: ${assigned.length} productos, ${unclassified} siguen sin rubro`, 'success');
+        Object.keys(porRubro)
+            .sort((a, b) => porRubro[b] - porRubro[a])
+            .forEach(rubro => this.log(`- ${rubro}: ${porRubro[rubro]}`, 'info'));
+        
+        return { assigned, unclassified };
+    }
+
+    containsPhrase(tokens, phrase) {
+        // Frase = palabras seguidas
+        for (let i = 0; i <= tokens.length - phrase.length; i++) {
+            if (phrase.every((word, j) => tokens[i + j] === word)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // ==============================================
+    // 4. COMPARACIÓN CON LA LISTA ANTERIOR
+    // ==============================================
+
+    matchCatalogs(previous, products) {
+        // Los códigos repetidos (p. ej. SINCODIGO) se distinguen por descripción
+        const repeated = this.findRepeatedCodes(previous);
+        this.findRepeatedCodes(products).forEach(codigo => repeated.add(codigo));
+        
+        const keyOf = item => {
+            const codigo = String(item.codigo).trim();
+            return repeated.has(codigo) ? `${codigo}|${String(item.descripcion || '').trim()}` : codigo;
+        };
+        
+        const previousByKey = new Map();
+        previous.forEach(old => {
+            previousByKey.set(keyOf(old), old);
+        });
+        
+        const matches = new Map();
+        products.forEach(product => {
+            const key = keyOf(product);
+            matches.set(product, previousByKey.get(key) || null);
+            previousByKey.delete(key);
+        });
+        
+        // Lo que quedó sin emparejar ya no está en la lista nueva
+        return { matches, removed: Array.from(previousByKey.values()) };
+    }
+
+    compareCatalogs(previous, products) {
+        const threshold = this.diffThreshold;
+        const { matches, removed } = this.matchCatalogs(previous, products);
+        const changes = [];
+        
+        matches.forEach((old, product) => {
+            if (!old) {
+                changes.push({ tipo: 'nuevo', product });
+                return;
+            }
+            
+            const oldDescription = String(old.descripcion || '').trim();
+            if (oldDescription !== product.descripcion) {
+                changes.push({ tipo: 'descripcion', product, anterior: old });
+            }
+            
+            const oldPrice = Number(old.precio_venta) || 0;
+            if (oldPrice !== product.precio_venta) {
+                const variacion = oldPrice > 0
+                    ? (product.precio_venta - oldPrice) / oldPrice * 100
+                    : null;
+                
+                // Posibles errores de carga: saltos grandes o precio casi en cero
+                let alerta = '';
+                if (oldPrice > 0 && product.precio_venta < oldPrice * this.CONFIG.DIFF_NEAR_ZERO_RATIO) {
+                    alerta = 'Precio casi en cero';
+                } else if (variacion !== null && Math.abs(variacion) > threshold) {
+                    alerta = `Cambio mayor al ${threshold}%`;
+                }
+                
+                changes.push({
+                    tipo: product.precio_venta > oldPrice ? 'subio' : 'bajo',
+                    product,
+                    anterior: old,
+                    variacion,
+                    alerta
+                });
+            }
+        });
+        
+        removed.forEach(old => {
+            changes.push({ tipo: 'eliminado', product: old });
+        });
+        
+        // Alertas primero, después los cambios de precio más grandes
+        const order = { subio: 0, bajo: 0, nuevo: 1, eliminado: 2, descripcion: 3 };
+        changes.sort((a, b) =>
+            Boolean(b.alerta) - Boolean(a.alerta) ||
+            order[a.tipo] - order[b.tipo] ||
+            Math.abs(b.variacion || 0) - Math.abs(a.variacion || 0)
+        );
+        
+        const alerts = changes.filter(change => change.alerta).length;
+        this.log(`🔍 Cambios respecto de la lista anterior: ${changes.length} (${alerts} con alerta)`, alerts ? 'error' : 'info');
+        
+        return changes;
+    }
+
+    applyPriceHistory(previous, products, fecha) {
+        // Arrastra precio anterior, fecha de cambio e historial
+        const { matches } = this.matchCatalogs(previous, products);
+        let changed = 0;
+        
+        matches.forEach((old, product) => {
+            if (!old) return;
+            
+            const oldPrice = Number(old.precio_venta) || 0;
+            
+            if (oldPrice === product.precio_venta) {
+                // Sin cambios: conservar lo que ya traía la lista publicada
+                ['precio_anterior', 'fecha_cambio', 'historial'].forEach(field => {
+                    if (old[field] !== undefined) {
+                        product[field] = old[field];
+                    }
+                });
+                return;
+            }
+            
+            // Historial de { fecha, precio }, del más viejo al vigente
+            const historial = Array.isArray(old.historial)
+                ? old.historial.slice()
+                : [{ fecha: old.fecha_cambio || null, precio: oldPrice }];
+            historial.push({ fecha, precio: product.precio_venta });
+            
+            product.precio_anterior = oldPrice;
+            product.fecha_cambio = fecha;
+            product.historial = historial.slice(-this.CONFIG.PRICE_HISTORY_MAX);
+            changed++;
+        });
+        
+        this.log(`📈 Historial de precios actualizado (${changed} cambios de precio)`, 'info');
+        return changed;
+    }
+
+    findRepeatedCodes(items) {
+        const seen = new Set();
+        const repeated = new Set();
+        
+        items.forEach(item => {
+            const codigo = String(item.codigo).trim();
+            if (seen.has(codigo)) {
+                repeated.add(codigo);
+            }
+            seen.add(codigo);
+        });
+        
+        return repeated;
+    }
+
+    // ==============================================
+    // 5. SALIDA (ARCHIVOS Y REPORTES)
+    // ==============================================
+
+    convert({ sources, conflicto = 'prioridad', rubroRules = null, previous = null, fecha = null }) {
+        // Pipeline completo; files queda en null si la validación bloquea la publicación.
+        // sources: [{ fuente, archivo, hoja, rows, startRow, headerIndex, mapping }], en orden de prioridad
+        const result = { products: [], validation: null, conflicts: [], rubroReport: null, diff: null, meta: null, index: null, files: null };
+        const converted = [];
+        
+        for (const source of sources) {
+            const label = sources.length > 1 ? `[${source.fuente}] ` : '';
+            const dataRows = this.getDataRows(source.rows, source.headerIndex, source.startRow || 0);
+            
+            if (dataRows.length === 0) {
+                this.log(`${label}El archivo Excel está vacío`, 'error');
+                return result;
+            }
+            
+            this.log(`${label}Se encontraron ${dataRows.length} filas en el Excel`, 'info');
+            
+            // Verificar que tenemos las columnas mínimas requeridas
+            const mapping = source.mapping;
+            if (!mapping.codigo || !mapping.descripcion || !mapping.precio_venta) {
+                this.log(`${label}ERROR: Asigná las columnas requeridas (Código, Descripción y precio de ${this.priceLists[0].nombre})`, 'error');
+                this.log(`Columnas encontradas: ${this.getHeaders(source.rows, source.headerIndex).join(', ')}`, 'info');
+                return result;
+            }
+            
+            converted.push({ source, totalRows: dataRows.length, ...this.convertRows(dataRows, mapping, source.fuente) });
+        }
+        
+        // Un solo producto por código aunque venga de varias fuentes
+        const { products, productRows, conflicts } = this.mergeSources(converted, conflicto);
+        const published = new Set(products);
+        
+        // Las filas que perdieron contra otra fuente no se publican: sus avisos no cuentan
+        const issues = [].concat(...converted.map(item => {
+            const dropped = new Set(item.products.filter(product => !published.has(product)).map(product => productRows.get(product)));
+            return item.issues.filter(issue => !dropped.has(issue.fila));
+        }));
+        const totalRows = converted.reduce((sum, item) => sum + item.totalRows, 0);
+        
+        result.products = products;
+        result.conflicts = conflicts;
+        result.validation = this.validate(products, productRows, issues, totalRows);
+        
+        if (products.length === 0) {
+            this.log('❌ No se generaron productos. Verifica el formato del Excel.', 'error');
+            return result;
+        }
+        
+        if (result.validation.bloqueos.length > 0) {
+            result.validation.bloqueos.forEach(motivo => this.log(`⛔ ${motivo}`, 'error'));
+            this.log('⛔ No se generaron los archivos. Corregí el Excel o ajustá los límites.', 'error');
+            return result;
+        }
+        
+        // Asignar rubro a los productos que llegan sin rubro
+        result.rubroReport = this.classifyProducts(products, rubroRules);
+        
+        // Comparar con la lista publicada; el buscador muestra el precio anterior y el historial
+        if (previous) {
+            result.diff = this.compareCatalogs(previous, products);
+            this.applyPriceHistory(previous, products, fecha || new Date().toISOString().slice(0, 10));
+        }
+        
+        const jsonData = JSON.stringify(products, null, 2);
+        result.index = this.buildSearchIndex(products, jsonData);
+        
+        // Datos de la lista: el buscador muestra esta fecha en lugar de "hoy"
+        const unique = values => Array.from(new Set(values)).join(', ');
+        result.meta = this.buildCatalogMeta(jsonData, {
+            archivo: unique(sources.map(source => source.archivo)),
+            hoja: unique(sources.map(source => source.hoja)),
+            filasExcel: totalRows,
+            productos: products.length,
+            omitidas: converted.reduce((sum, item) => sum + item.skipped, 0),
+            rubrosInferidos: result.rubroReport ? result.rubroReport.assigned.length : 0,
+            fuentes: converted.map(item => ({
+                fuente: item.source.fuente,
+                archivo: item.source.archivo,
+                hoja: item.source.hoja,
+                productos: item.products.filter(product => published.has(product)).length
+            }))
+        });
+        
+        result.files = {
+            'products.json': jsonData,
+            'products-index.json': JSON.stringify(result.index),
+            'catalog-meta.json': JSON.stringify(result.meta, null, 2)
+        };
+        
+        return result;
+    }
+
+    mergeSources(converted, conflicto) {
+        // Códigos en varias fuentes: se queda la fuente ganadora (todas sus filas con ese código)
+        const productRows = new Map();
+        converted.forEach(item => item.productRows.forEach((fila, product) => productRows.set(product, fila)));
+        
+        if (!this.CONFIG.CONFLICT_RULES[conflicto]) {
+            throw new Error(`Regla de conflicto desconocida: ${conflicto}`);
+        }
+        
+        if (converted.length < 2) {
+            return { products: converted.length ? converted[0].products : [], productRows, conflicts: [] };
+        }
+        
+        // Código → { índice de fuente → productos }; los códigos genéricos no se combinan
+        const byCode = new Map();
+        converted.forEach((item, sourceIndex) => {
+            item.products.forEach(product => {
+                if (this.CONFIG.PLACEHOLDER_CODE.test(product.codigo)) return;
+                
+                if (!byCode.has(product.codigo)) byCode.set(product.codigo, new Map());
+                const bySource = byCode.get(product.codigo);
+                if (!bySource.has(sourceIndex)) bySource.set(sourceIndex, []);
+                bySource.get(sourceIndex).push(product);
+            });
+        });
+        
+        const discarded = new Set();
+        const conflicts = [];
+        const lowestPrice = items => Math.min(...items.map(product => product.precio_venta));
+        
+        byCode.forEach((bySource, codigo) => {
+            if (bySource.size < 2) return;
+            
+            // Ante empate de precio gana la fuente con más prioridad
+            const candidates = Array.from(bySource.entries()).sort(([a, itemsA], [b, itemsB]) =>
+                (conflicto === 'menor-precio' ? lowestPrice(itemsA) - lowestPrice(itemsB) : 0) || a - b
+            );
+            const [winner, winnerItems] = candidates[0];
+            
+            candidates.slice(1).forEach(([, items]) => items.forEach(product => discarded.add(product)));
+            
+            conflicts.push({
+                codigo,
+                descripcion: winnerItems[0].descripcion,
+                ganadora: converted[winner].source.fuente,
+                precio: lowestPrice(winnerItems),
+                descartadas: candidates.slice(1).map(([sourceIndex, items]) => ({
+                    fuente: converted[sourceIndex].source.fuente,
+                    precio: lowestPrice(items)
+                }))
+            });
+        });
+        
+        const products = [].concat(...converted.map(item => item.products)).filter(product => !discarded.has(product));
+        
+        this.log(`🔀 Fuentes combinadas: ${products.length} productos, ${conflicts.length} códigos en más de una fuente (${this.CONFIG.CONFLICT_RULES[conflicto]})`, 'info');
+        converted.forEach(item => {
+            const kept = item.products.filter(product => !discarded.has(product)).length;
+            this.log(`- ${item.source.fuente}: ${kept} de ${item.products.length}`, 'info');
+        });
+        
+        return { products, productRows, conflicts };
+    }
+
+    getSourceName(archivo, hoja = '') {
+        // Nombre del archivo sin extensión (p. ej. INGCO), con la hoja si hace falta distinguirla
+        const base = String(archivo).replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+        return hoja ? `${base} - ${hoja}` : base;
+    }
+
+    buildSearchIndex(products, jsonData) {
+        // Mismo motor que el buscador
+        const Engine = this.getEngine().constructor;
+        const engine = new Engine();
+        engine.processProducts(products);
+        engine.buildSearchStructures();
+        return engine.exportIndex(engine.hashText(jsonData));
+    }
+
+    buildCatalogMeta(jsonData, { archivo, hoja, filasExcel, productos, omitidas, rubrosInferidos, fuentes }) {
+        return {
+            generado: new Date().toISOString(),
+            archivo: archivo,
+            hoja: hoja,
+            fuentes: fuentes || [],
+            filas: {
+                excel: filasExcel,
+                productos: productos,
+                omitidas: omitidas,
+                rubrosInferidos: rubrosInferidos
+            },
+            // Mismo hash que calcula el buscador sobre products.json
+            hash: this.getEngine().hashText(jsonData)
+        };
+    }
+
+    getValidationRows(report) {
+        const rows = [['Severidad', 'Fuente', 'Fila', 'Código', 'Descripción', 'Problema', 'Estado']];
+        
+        report.issues.forEach(issue => {
+            rows.push([
+                issue.severidad,
+                issue.fuente,
+                issue.fila,
+                issue.codigo,
+                issue.descripcion,
+                issue.motivo,
+                issue.rechazada ? 'Rechazada' : 'Publicada'
+            ]);
+        });
+        
+        return rows;
+    }
+
+    getRubroReportRows(report) {
+        const rows = [['Código', 'Descripción', 'Marca', 'Rubro original', 'Rubro asignado', 'Palabras encontradas']];
+        
+        report.assigned.forEach(({ product, rubroOriginal, palabras }) => {
+            rows.push([product.codigo, product.descripcion, product.marca, rubroOriginal, product.rubro, palabras.join(', ')]);
+        });
+        
+        return rows;
+    }
+
+    getDiffRows(changes) {
+        const rows = [['Cambio', 'Código', 'Descripción', 'Descripción anterior', 'Precio anterior', 'Precio nuevo', 'Variación %', 'Alerta']];
+        
+        changes.forEach(change => {
+            const { product, anterior } = change;
+            const isRemoved = change.tipo === 'eliminado';
+            
+            rows.push([
+                change.tipo,
+                product.codigo,
+                product.descripcion,
+                anterior ? anterior.descripcion : '',
+                anterior ? anterior.precio_venta : (isRemoved ? product.precio_venta : ''),
+                isRemoved ? '' : product.precio_venta,
+                typeof change.variacion === 'number' ? change.variacion.toFixed(1).replace('.', ',') : '',
+                change.alerta || ''
+            ]);
+        });
+        
+        return rows;
+    }
+
+    getConflictRows(conflicts) {
+        const rows = [['Código', 'Descripción', 'Fuente usada', 'Precio usado', 'Fuentes descartadas']];
+        
+        conflicts.forEach(conflict => {
+            rows.push([
+                conflict.codigo,
+                conflict.descripcion,
+                conflict.ganadora,
+                conflict.precio,
+                conflict.descartadas.map(item => `${item.fuente} ($${item.precio})`).join(', ')
+            ]);
+        });
+        
+        return rows;
+    }
+
+    toCsv(rows) {
+        // Separador ";" (Excel en español)
+        const escapeCell = value => {
+            const text = String(value === undefined || value === null ? '' : value);
+            return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escapeCell).join(';')).join('\r\n');
+    }
+}
+
+// Node (convert.js): exportar; en el navegador queda global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CatalogConverter;
+}
@@ -0,0 +1,85 @@
+// ==============================================
+// ALMACÉN LOCAL DEL CATÁLOGO (INDEXEDDB)
+// Productos procesados e índice, por versión
+// ==============================================
+
+class CatalogStore {
+    constructor() {
+        this.CONFIG = {
+            DB_NAME: 'ferreteria-catalogo',
+            DB_VERSION: 1,
+            STORE_NAME: 'catalogos'     // Registros { version, etag, savedAt, meta, products, index }
+        };
+        
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.CONFIG.DB_NAME, this.CONFIG.DB_VERSION);
+                
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.CONFIG.STORE_NAME, { keyPath: 'version' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async loadLatest() {
+        const db = await this.open();
+        
+        const records = await new Promise((resolve, reject) => {
+            const request = db
+                .transaction(this.CONFIG.STORE_NAME, 'readonly')
+                .objectStore(this.CONFIG.STORE_NAME)
+                .getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        // Normalmente hay uno solo; ante la duda, el más reciente
+        records.sort((a, b) => b.savedAt - a.savedAt);
+        return records[0] || null;
+    }
+
+    async save(record) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.CONFIG.STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(this.CONFIG.STORE_NAME);
+            
+            // Guardar solo la versión vigente del catálogo
+            store.clear();
+            store.put(record);
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async update(version, changes) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.CONFIG.STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(this.CONFIG.STORE_NAME);
+            
+            // Solo los campos que cambiaron: savedAt sigue siendo el de la descarga
+            const request = store.get(version);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put({ ...request.result, ...changes });
+                }
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+// ==============================================
+// CONVERSOR POR LÍNEA DE COMANDOS
+// Mismo pipeline que conversor.html (catalog-converter.js)
+// Uso: node convert.js lista.xlsx [ingco.xlsx kloss.xlsx#Precios ...] -o products.json
+// ==============================================
+
+const fs = require('fs');
+const path = require('path');
+const CatalogConverter = require('./catalog-converter.js');
+
+const USAGE = `Uso: node convert.js <fuente> [<fuente> ...] [opciones]
+
+Cada fuente es [nombre=]archivo.xlsx[#hoja], en orden de prioridad. Ejemplos:
+  node convert.js lista.xlsx -o products.json
+  node convert.js ERP=sistema.xlsx ingco.xlsx "kloss.xlsx#Lista 2024" --conflict menor-precio
+
+Opciones:
+  -o, --output <archivo>     products.json a generar (por defecto ./products.json).
+                             products-index.json y catalog-meta.json van a la misma carpeta
+  --sheet <hoja>             Hoja de las fuentes que no la indican (por defecto la primera con código y descripción)
+  --header-row <n>           Fila de encabezados (por defecto se detecta)
+  --preset <archivo>         Preset de columnas { nombre, hoja, filaEncabezado, columnas } o lista de presets;
+                             cada fuente usa el que coincida con su planilla
+  --conflict <regla>         Código en varias fuentes: prioridad (gana la primera, por defecto) o menor-precio
+  --config <archivo>         shop-config.json con las listas de precios
+  --rules <archivo>          rubro-rules.json para asignar rubros
+  --previous <archivo>       products.json publicado (por defecto el archivo de salida, si existe)
+  --no-previous              No comparar con la lista anterior
+  --reports <carpeta>        Guardar validacion.csv, rubros-asignados.csv, cambios-de-precios.csv
+                             y codigos-en-varias-fuentes.csv
+  --threshold <%>            Alertar cambios de precio mayores a este % (por defecto 30)
+  --max-rejected <%>         No publicar si se rechaza más de este % de filas (por defecto 10)
+  --max-duplicates <n>       No publicar si hay más códigos repetidos (por defecto 100)
+  -h, --help                 Mostrar esta ayuda`;
+
+// ==============================================
+// 1. ARGUMENTOS
+// ==============================================
+
+function parseArgs(argv) {
+    const options = { inputs: [], previous: undefined };
+    const valueFlags = {
+        '-o': 'output',
+        '--output': 'output',
+        '--sheet': 'sheet',
+        '--header-row': 'headerRow',
+        '--preset': 'preset',
+        '--conflict': 'conflict',
+        '--config': 'config',
+        '--rules': 'rules',
+        '--previous': 'previous',
+        '--reports': 'reports',
+        '--threshold': 'threshold',
+        '--max-rejected': 'maxRejected',
+        '--max-duplicates': 'maxDuplicates'
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--no-previous') {
+            options.previous = null;
+        } else if (valueFlags[arg]) {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Falta el valor de ${arg}`);
+            }
+            options[valueFlags[arg]] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Opción desconocida: ${arg}`);
+        } else {
+            options.inputs.push(parseSource(arg));
+        }
+    }
+    
+    return options;
+}
+
+function parseSource(arg) {
+    // [nombre=]archivo.xlsx[#hoja]
+    const match = arg.match(/^(?:([^=]+)=)?([^#]+)(?:#(.+))?$/);
+    if (!match) {
+        throw new Error(`Fuente inválida: ${arg}`);
+    }
+    return { fuente: match[1] || '', archivo: match[2], hoja: match[3] || '' };
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function defaultFile(name) {
+    // Archivos del sitio junto al script (shop-config.json, rubro-rules.json)
+    const file = path.join(__dirname, name);
+    return fs.existsSync(file) ? file : null;
+}
+
+// Sin límite si el valor no es un número (igual que dejar vacío el campo en la página)
+function parseLimit(value) {
+    return value === undefined ? undefined : parseFloat(value);
+}
+
+function log(message, type = 'info') {
+    (type === 'error' ? console.error : console.log)(message);
+}
+
+// ==============================================
+// 2. CONVERSIÓN
+// ==============================================
+
+function main(argv) {
+    const options = parseArgs(argv);
+    
+    if (options.help || options.inputs.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+    
+    let XLSX;
+    try {
+        XLSX = require('xlsx');
+    } catch (error) {
+        log('❌ Falta SheetJS. Instalá las dependencias con: npm install', 'error');
+        return 1;
+    }
+    
+    const output = path.resolve(options.output || 'products.json');
+    const outputDir = path.dirname(output);
+    
+    // Listas de precios del comercio
+    const configFile = options.config || defaultFile('shop-config.json');
+    const priceLists = configFile ? readJson(configFile).listas : null;
+    
+    const limits = {};
+    if (options.maxRejected !== undefined) limits.maxRejectedPct = parseLimit(options.maxRejected);
+    if (options.maxDuplicates !== undefined) limits.maxDuplicateCodes = parseLimit(options.maxDuplicates);
+    
+    const converter = new CatalogConverter({
+        xlsx: XLSX,
+        priceLists: priceLists,
+        limits: limits,
+        diffThreshold: Number(options.threshold) || undefined,
+        log: log
+    });
+    
+    const presets = options.preset ? [].concat(readJson(options.preset)) : [];
+    const workbooks = new Map();
+    const sources = [];
+    
+    // Hoja, fila de encabezados y columnas de cada fuente: preset, opciones o detección automática
+    for (const input of options.inputs) {
+        if (!workbooks.has(input.archivo)) {
+            workbooks.set(input.archivo, XLSX.readFile(input.archivo));
+        }
+        const workbook = workbooks.get(input.archivo);
+        const requestedSheet = input.hoja || options.sheet;
+        
+        const preset = presets.find(item =>
+            (!requestedSheet || item.hoja === requestedSheet) && converter.matchesPreset(workbook, item)
+        );
+        
+        let sheetName;
+        let headerIndex;
+        let mapping;
+        let rows;
+        let startRow;
+        
+        if (preset) {
+            ({ sheetName, rows, startRow, headerIndex, mapping } = converter.applyPreset(workbook, preset));
+            log(`🧭 Preset "${preset.nombre}" aplicado a ${input.archivo}`);
+        } else {
+            sheetName = requestedSheet || converter.findSheet(workbook);
+            if (!workbook.SheetNames.includes(sheetName)) {
+                log(`❌ No existe la hoja "${sheetName}" en ${input.archivo} (hojas: ${workbook.SheetNames.join(', ')})`, 'error');
+                return 1;
+            }
+            
+            ({ rows, startRow } = converter.readSheet(workbook, sheetName));
+            headerIndex = options.headerRow
+                ? Math.max((parseInt(options.headerRow, 10) || 1) - 1 - startRow, 0)
+                : converter.detectHeaderRow(rows);
+            mapping = converter.guessMapping(converter.getHeaders(rows, headerIndex));
+        }
+        
+        const archivo = path.basename(input.archivo);
+        const fuente = input.fuente || converter.getSourceName(archivo, input.hoja ? sheetName : '');
+        log(`${fuente}: hoja "${sheetName}", encabezados en la fila ${headerIndex + startRow + 1}`);
+        
+        sources.push({ fuente, archivo, hoja: sheetName, rows, startRow, headerIndex, mapping });
+    }
+    
+    // Lista anterior: la publicada, para el reporte de cambios y el historial de precios
+    const previousFile = options.previous === undefined
+        ? (fs.existsSync(output) ? output : null)
+        : options.previous;
+    const previous = previousFile ? readJson(previousFile) : null;
+    if (previous) {
+        log(`Lista anterior cargada: ${previous.length} productos (${previousFile})`);
+    }
+    
+    const rulesFile = options.rules || defaultFile('rubro-rules.json');
+    
+    const result = converter.convert({
+        sources: sources,
+        conflicto: options.conflict || 'prioridad',
+        rubroRules: rulesFile ? fs.readFileSync(rulesFile, 'utf8') : null,
+        previous: previous
+    });
+    
+    // Reportes en CSV (los mismos que descarga la página)
+    if (options.reports) {
+        fs.mkdirSync(options.reports, { recursive: true });
+        const writeCsv = (name, csvRows) => {
+            fs.writeFileSync(path.join(options.reports, name), '\uFEFF' + converter.toCsv(csvRows));
+            log(`📥 ${path.join(options.reports, name)}`);
+        };
+        
+        if (result.validation) writeCsv('validacion.csv', converter.getValidationRows(result.validation));
+        if (result.rubroReport) writeCsv('rubros-asignados.csv', converter.getRubroReportRows(result.rubroReport));
+        if (result.diff) writeCsv('cambios-de-precios.csv', converter.getDiffRows(result.diff));
+        if (result.conflicts.length > 0) writeCsv('codigos-en-varias-fuentes.csv', converter.getConflictRows(result.conflicts));
+    }
+    
+    if (!result.files) {
+        return 1;
+    }
+    
+    fs.mkdirSync(outputDir, { recursive: true });
+    Object.entries(result.files).forEach(([name, content]) => {
+        const file = name === 'products.json' ? output : path.join(outputDir, name);
+        fs.writeFileSync(file, content);
+        log(`📥 ${file}`, 'success');
+    });
+    
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,861 @@
+// ==============================================
+// MOTOR DE BÚSQUEDA FERRETERÍA
+// Parseo, indexado y scoring. Lo usan el worker
+// de búsqueda y el conversor (índice precalculado)
+// ==============================================
+
+// Cambiar si cambia el tokenizador o la estructura del índice
+const SEARCH_INDEX_FORMAT = 3;
+
+class SearchEngine {
+    constructor() {
+        // CONFIGURACIÓN DE BÚSQUEDA
+        this.CONFIG = {
+            MIN_SCORE: 0.15,           // Puntaje mínimo para mostrar
+            FUZZY_MIN_LENGTH: 4,       // Largo mínimo para tolerar errores de tipeo
+            UNIT_ALIASES: {            // Unidades de medida → forma canónica
+                mm: 'mm', cm: 'cm',
+                m: 'm', mt: 'm', mts: 'm', metro: 'm', metros: 'm',
+                kg: 'kg', kilo: 'kg', kilos: 'kg',
+                g: 'g', gr: 'g', grs: 'g', gramo: 'g', gramos: 'g',
+                l: 'l', lt: 'l', lts: 'l', litro: 'l', litros: 'l',
+                ml: 'ml', cc: 'ml', cm3: 'ml',
+                w: 'w', watts: 'w', v: 'v', volt: 'v', volts: 'v'
+            },
+            SCORE_WEIGHTS: {
+                CODIGO_EXACTO: 100,
+                CODIGO_STARTS_WITH: 50,
+                CODIGO_CONTAINS: 30,
+                DESCRIPCION_EXACTA: 40,
+                DESCRIPCION_PALABRA: 35,
+                DESCRIPCION_PREFIJO: 25,
+                DESCRIPCION_CONTAINS: 20,
+                MARCA_EXACTA: 25,
+                MARCA_CONTAINS: 15,
+                RUBRO_EXACTO: 10,
+                FUZZY_MATCH: 15,
+                MULTIPLE_MATCHES: 5
+            }
+        };
+
+        // ESTADO DEL MOTOR
+        this.state = {
+            products: [],               // Productos validados
+            normalizedData: [],         // Datos normalizados para búsqueda
+            searchIndex: new Map(),     // Índice invertido por palabra
+            sortedTerms: [],            // Términos ordenados para búsqueda por prefijo
+            browseOrder: null,          // Posiciones ordenadas por descripción (se arma al explorar)
+            fuzzyTerms: new Map(),      // Correcciones aplicadas a la búsqueda actual
+            synonyms: new Map(),        // Frase normalizada → alternativas equivalentes
+            synonymMaxWords: 1,         // Largo de la frase de sinónimo más larga
+            rubros: new Set(),          // Rubros únicos
+            marcas: new Set(),          // Marcas únicas
+            version: '',                // Hash del catálogo cargado
+            etag: null,                 // ETag de products.json (si el servidor lo envía)
+            meta: null,                 // Datos de la lista (catalog-meta.json) o null
+            searchTerm: '',             // Término de la búsqueda en curso
+            filters: {                  // Filtros de la búsqueda en curso
+                rubro: '',
+                marca: '',
+                precioMin: null,
+                precioMax: null
+            }
+        };
+        
+        this.unitRegex = null;          // Regex de unidades (se arma una vez)
+    }
+
+    // ==============================================
+    // 1. CARGA Y PROCESAMIENTO DE DATOS
+    // ==============================================
+
+    async load({ productsUrl, synonymsUrl, indexUrl, metaUrl }) {
+        await this.loadSynonyms(synonymsUrl);
+        
+        const startTime = performance.now();
+        const { text, etag } = await this.fetchProducts(productsUrl);
+        
+        // Preferir el índice precalculado por el conversor, solo si es de este
+        // products.json (se puede subir la lista sin regenerar el índice)
+        if (!(indexUrl && await this.loadPrebuiltIndex(indexUrl, text))) {
+            this.buildFromText(text);
+            
+            const loadTime = performance.now() - startTime;
+            console.log(`✅ Productos cargados: ${this.state.products.length} en ${loadTime.toFixed(0)}ms`);
+        }
+        this.state.etag = etag;
+        
+        if (metaUrl) {
+            await this.loadMeta(metaUrl, this.state.version);
+        }
+    }
+
+    async fetchProducts(url, { etag = null } = {}) {
+        // Siempre revalidar: los precios cambian todas las semanas.
+        // Con ETag se hace una petición condicional: null si no hubo cambios
+        const options = etag
+            ? { cache: 'no-store', headers: { 'If-None-Match': etag } }
+            : { cache: 'no-cache' };
+        
+        const response = await fetch(url, options);
+        
+        if (response.status === 304) {
+            return null;
+        }
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        return {
+            text: await response.text(),
+            etag: response.headers.get('ETag')
+        };
+    }
+
+    buildFromText(text) {
+        this.processProducts(JSON.parse(text));
+        this.buildSearchStructures();
+        this.state.version = this.hashText(text);
+    }
+
+    async loadPrebuiltIndex(url, text) {
+        try {
+            const startTime = performance.now();
+            const expectedVersion = this.hashText(text);
+            const response = await fetch(url, { cache: 'no-cache' });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            
+            // El índice debe corresponder al products.json publicado
+            if (data.version !== expectedVersion) {
+                throw new Error(`índice ${data.version} no coincide con el catálogo ${expectedVersion}`);
+            }
+            
+            this.importIndex(data, JSON.parse(text));
+            
+            const loadTime = performance.now() - startTime;
+            console.log(`✅ Índice precalculado cargado: ${this.state.products.length} productos en ${loadTime.toFixed(0)}ms`);
+            return true;
+            
+        } catch (error) {
+            // Sin índice (o desactualizado) se construye desde products.json
+            console.warn('⚠️ Índice precalculado no disponible, se construye en el cliente:', error.message);
+            return false;
+        }
+    }
+
+    async loadMeta(url, expectedVersion) {
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const meta = await response.json();
+            
+            // Los datos tienen que ser de este mismo products.json
+            if (meta.hash !== expectedVersion) {
+                throw new Error(`datos de la lista ${meta.hash} no coinciden con el catálogo ${expectedVersion}`);
+            }
+            
+            this.state.meta = meta;
+            return true;
+        
+        } catch (error) {
+            // Sin datos de la lista no se conoce la fecha real de los precios
+            console.warn('⚠️ No se pudo cargar catalog-meta.json:', error.message);
+            this.state.meta = null;
+            return false;
+        }
+    }
+
+    async loadSynonyms(url) {
+        try {
+            const response = await fetch(url);
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            this.processSynonyms(data.grupos || []);
+            
+        } catch (error) {
+            // Sin diccionario la búsqueda sigue funcionando, solo sin expansión
+            console.warn('⚠️ No se pudo cargar synonyms.json:', error);
+        }
+    }
+
+    processSynonyms(groups) {
+        this.state.synonyms.clear();
+        this.state.synonymMaxWords = 1;
+        
+        groups.forEach(group => {
+            // Normalizar cada variante con el mismo tokenizador del índice
+            const alternatives = group.map(term => this.tokenize(term));
+            
+            alternatives.forEach(words => {
+                if (words.length === 0) return;
+                
+                const key = words.join(' ');
+                const existing = this.state.synonyms.get(key) || [];
+                this.state.synonyms.set(key, existing.concat(alternatives));
+                this.state.synonymMaxWords = Math.max(this.state.synonymMaxWords, words.length);
+            });
+        });
+        
+        console.log(`✅ Sinónimos cargados: ${this.state.synonyms.size} términos`);
+    }
+
+    processProducts(products) {
+        const startTime = performance.now();
+        
+        // Limpiar datos anteriores
+        this.state.products = [];
+        this.state.normalizedData = [];
+        this.state.rubros.clear();
+        this.state.marcas.clear();
+        
+        // Procesar cada producto
+        products.forEach(product => {
+            const cleaned = this.cleanProduct(product);
+            if (!cleaned) {
+                return; // Saltar producto incompleto
+            }
+            
+            // Tokenizar UNA VEZ; código, marca y rubro por separado para
+            // que una medida no se pegue al campo vecino
+            const descripcionTokens = this.tokenize(cleaned.descripcion);
+            const fieldTokens = [cleaned.codigo, cleaned.marca, cleaned.rubro]
+                .flatMap(field => this.tokenize(field));
+            
+            // Posición entre los productos válidos, la misma que usan el índice y los resultados
+            this.state.products.push(cleaned);
+            this.state.normalizedData.push(
+                this.createNormalizedEntry(cleaned, this.state.products.length - 1, descripcionTokens, fieldTokens)
+            );
+            
+            // Agregar rubro y marca
+            if (cleaned.rubro) {
+                this.state.rubros.add(cleaned.rubro);
+            }
+            if (cleaned.marca) {
+                this.state.marcas.add(cleaned.marca);
+            }
+        });
+        
+        const processTime = performance.now() - startTime;
+        console.log(`✅ Productos procesados: ${this.state.products.length} en ${processTime.toFixed(0)}ms`);
+    }
+
+    cleanProduct(product) {
+        // Validar datos mínimos
+        if (!product.codigo || !product.descripcion || !product.precio_venta) {
+            return null;
+        }
+        
+        return {
+            ...product,
+            codigo: String(product.codigo).trim(),
+            descripcion: String(product.descripcion).trim(),
+            rubro: String(product.rubro || '').trim(),
+            marca: String(product.marca || '').trim(),
+            precio_venta: Number(product.precio_venta) || 0
+        };
+    }
+
+    createNormalizedEntry(product, index, descripcionTokens, fieldTokens) {
+        // Campos normalizados para búsqueda
+        return {
+            index: index,
+            searchTokens: fieldTokens.concat(descripcionTokens),
+            descripcionTokens: descripcionTokens,
+            fieldTokens: fieldTokens,
+            codigoNormalized: this.normalizeText(product.codigo),
+            marcaNormalized: this.normalizeText(product.marca),
+            rubroNormalized: this.normalizeText(product.rubro)
+        };
+    }
+
+    hashText(text) {
+        // FNV-1a de 32 bits: suficiente para detectar cambios en el catálogo
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    tokenize(text) {
+        // Tokenizador de ferretería: medidas, fracciones y unidades.
+        // Se usa igual al indexar y al buscar para que ambos coincidan.
+        if (!this.unitRegex) {
+            const units = Object.keys(this.CONFIG.UNIT_ALIASES)
+                .sort((a, b) => b.length - a.length)
+                .join('|');
+            this.unitRegex = new RegExp(`(\\d)\\s*(${units})(?![a-z0-9])`, 'g');
+        }
+        
+        const prepared = this.normalizeText(String(text))
+            .replace(/[\u201c\u201d\u2033]|''/g, '"')                 // Comillas tipográficas → pulgada
+            .replace(/(\d),(\d)/g, '$1.$2')                           // 1,5 → 1.5
+            .replace(/(\d)\s*(?:"|pulgadas?\b|pulg\b\.?)/g, '$1 ')    // 1/2" y 1/2 pulgada → 1/2
+            .replace(/(\d)\s*[x*]\s*(?=\d)/g, '$1x')                  // 5 X 150 → 5x150
+            .replace(/(^|[^a-z0-9])x\s*(?=\d)/g, '$1')                // X 240 → 240
+            .replace(this.unitRegex, (match, digit, unit) =>
+                digit + this.CONFIG.UNIT_ALIASES[unit])               // 22 CM → 22cm
+            .replace(/[./]/g, (match, offset, str) =>                 // Punto y barra solo entre dígitos
+                /\d/.test(str[offset - 1]) && /\d/.test(str[offset + 1]) ? match : ' ')
+            .replace(/[^a-z0-9./\s]/g, ' ');                          // Eliminar símbolos
+        
+        const tokens = [];
+        prepared.split(/\s+/).forEach(token => {
+            if (!this.isSearchableToken(token)) return;
+            tokens.push(token);
+            
+            // Medidas compuestas (5x150): indexar también cada parte
+            if (/^\d[\d./]*[a-z]*(x\d[\d./]*[a-z]*)+$/.test(token)) {
+                token.split('x').forEach(part => tokens.push(part));
+            }
+        });
+        
+        return tokens;
+    }
+
+    isSearchableToken(token) {
+        // Ignorar palabras muy cortas, salvo números de un dígito ("4 1/2")
+        return token.length >= 2 || /^\d$/.test(token);
+    }
+
+    normalizeText(text) {
+        // Normalización básica: minúsculas y sin acentos
+        return text
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    }
+
+    buildSearchStructures() {
+        const startTime = performance.now();
+        
+        // Limpiar índice anterior
+        this.state.searchIndex.clear();
+        
+        // Construir índice invertido por palabra
+        this.state.normalizedData.forEach((product, index) => {
+            // Obtener palabras únicas del texto de búsqueda
+            const words = new Set(product.searchTokens);
+            
+            // Indexar cada palabra
+            words.forEach(word => {
+                if (this.isSearchableToken(word)) {
+                    if (!this.state.searchIndex.has(word)) {
+                        this.state.searchIndex.set(word, new Set());
+                    }
+                    this.state.searchIndex.get(word).add(index);
+                }
+            });
+        });
+        
+        // Lista ordenada de términos para búsqueda por prefijo
+        this.state.sortedTerms = Array.from(this.state.searchIndex.keys()).sort();
+        this.state.browseOrder = null;
+        
+        const indexTime = performance.now() - startTime;
+        console.log(`✅ Índice construido: ${this.state.searchIndex.size} palabras únicas en ${indexTime.toFixed(0)}ms`);
+    }
+
+    exportIndex(version) {
+        // Formato compacto: tokens por producto (campos normalizados) y postings
+        // por término, en orden alfabético y con cada posición como diferencia
+        // con la anterior. Los productos salen de products.json
+        const terminos = this.state.sortedTerms.map(term => {
+            let previous = 0;
+            const deltas = Array.from(this.state.searchIndex.get(term)).sort((a, b) => a - b).map(index => {
+                const delta = index - previous;
+                previous = index;
+                return delta;
+            });
+            return [term, deltas];
+        });
+        
+        return {
+            formato: SEARCH_INDEX_FORMAT,
+            version: version,
+            tokens: this.state.normalizedData.map(item => [
+                item.descripcionTokens.join(' '),
+                item.fieldTokens.join(' ')
+            ]),
+            terminos: terminos
+        };
+    }
+
+    importIndex(data, products) {
+        if (!data || data.formato !== SEARCH_INDEX_FORMAT) {
+            throw new Error(`Formato de índice no compatible (${data && data.formato})`);
+        }
+        
+        // Mismos productos válidos, en el mismo orden, que al armar el índice
+        this.state.products = products.map(product => this.cleanProduct(product)).filter(Boolean);
+        if (this.state.products.length !== data.tokens.length) {
+            throw new Error(`El índice tiene ${data.tokens.length} productos y el catálogo ${this.state.products.length}`);
+        }
+        
+        this.state.normalizedData = data.tokens.map(([descripcionText, fieldText], index) =>
+            this.createNormalizedEntry(
+                this.state.products[index],
+                index,
+                descripcionText ? descripcionText.split(' ') : [],
+                fieldText ? fieldText.split(' ') : []
+            )
+        );
+        
+        // Postings tal cual vienen: sin recorrer los productos ni ordenar términos
+        this.state.searchIndex.clear();
+        this.state.sortedTerms = data.terminos.map(([term, deltas]) => {
+            let index = 0;
+            const indices = new Set();
+            deltas.forEach(delta => {
+                index += delta;
+                indices.add(index);
+            });
+            this.state.searchIndex.set(term, indices);
+            return term;
+        });
+        this.state.browseOrder = null;
+        
+        this.state.rubros = new Set(this.state.products.map(product => product.rubro).filter(Boolean));
+        this.state.marcas = new Set(this.state.products.map(product => product.marca).filter(Boolean));
+        this.state.version = data.version;
+    }
+
+    findTermsByPrefix(prefix) {
+        const terms = this.state.sortedTerms;
+        
+        // Búsqueda binaria del primer término >= prefijo
+        let low = 0;
+        let high = terms.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (terms[mid] < prefix) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        
+        // Recorrer mientras los términos compartan el prefijo
+        const matches = [];
+        for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+            matches.push(terms[i]);
+        }
+        
+        return matches;
+    }
+
+    getIndicesForWord(word) {
+        // Unión de los productos de todos los términos que empiezan con la palabra
+        let terms = this.findTermsByPrefix(word);
+        
+        // Sin coincidencias: tolerar errores de tipeo ("amoladra" → "amoladora")
+        if (terms.length === 0) {
+            terms = this.findSimilarTerms(word);
+            if (terms.length > 0) {
+                this.state.fuzzyTerms.set(word, terms);
+            }
+        }
+        
+        if (terms.length === 1) {
+            return this.state.searchIndex.get(terms[0]);
+        }
+        
+        const indices = new Set();
+        terms.forEach(term => {
+            this.state.searchIndex.get(term).forEach(idx => indices.add(idx));
+        });
+        return indices;
+    }
+
+    findSimilarTerms(word) {
+        const maxDistance = this.getMaxEditDistance(word);
+        if (maxDistance === 0) return [];
+        
+        const similar = [];
+        this.state.sortedTerms.forEach(term => {
+            if (Math.abs(term.length - word.length) > maxDistance) return;
+            
+            const distance = this.editDistance(word, term, maxDistance);
+            if (distance <= maxDistance) {
+                similar.push({ term, distance });
+            }
+        });
+        
+        // Más parecidos primero, y entre iguales el término más frecuente
+        return similar
+            .sort((a, b) => a.distance - b.distance ||
+                this.state.searchIndex.get(b.term).size - this.state.searchIndex.get(a.term).size)
+            .map(item => item.term);
+    }
+
+    getMaxEditDistance(word) {
+        if (word.length < this.CONFIG.FUZZY_MIN_LENGTH || /\d/.test(word)) {
+            return 0; // Palabras cortas y medidas deben coincidir tal cual
+        }
+        return word.length <= 6 ? 1 : 2;
+    }
+
+    editDistance(a, b, maxDistance) {
+        // Distancia de Damerau-Levenshtein (con transposiciones) acotada
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(
+                    prev[j] + 1,            // Eliminación
+                    current[j - 1] + 1,     // Inserción
+                    prev[j - 1] + cost      // Sustitución
+                );
+                
+                if (prevPrev && i > 1 && j > 1 &&
+                    a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1); // Transposición
+                }
+                
+                current[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+            
+            // Cortar temprano si ya no puede quedar dentro del límite
+            if (rowMin > maxDistance) return maxDistance + 1;
+            
+            prevPrev = prev;
+            prev = current;
+        }
+        
+        return prev[b.length];
+    }
+
+    getSpellingSuggestion() {
+        const searchWords = this.tokenize(this.state.searchTerm);
+        
+        let changed = false;
+        const corrected = searchWords.map(word => {
+            if (this.state.searchIndex.has(word)) return word;
+            
+            const [best] = this.findSimilarTerms(word);
+            if (best) {
+                changed = true;
+                return best;
+            }
+            return word;
+        });
+        
+        return changed ? corrected.join(' ') : null;
+    }
+
+    // ==============================================
+    // 3. BÚSQUEDA CON SCORING COMERCIAL
+    // ==============================================
+
+    search(searchTerm, filters = {}) {
+        this.state.searchTerm = searchTerm || '';
+        this.state.filters = {
+            rubro: filters.rubro || '',
+            marca: filters.marca || '',
+            precioMin: Number.isFinite(filters.precioMin) ? filters.precioMin : null,
+            precioMax: Number.isFinite(filters.precioMax) ? filters.precioMax : null,
+            lista: filters.lista || ''
+        };
+        
+        // Sin texto se explora por filtros; con texto, productos relevantes con score
+        const matchingResults = this.state.searchTerm.trim()
+            ? this.calculateProductScores(this.findRelevantProducts())
+                .filter(result => result.score >= this.CONFIG.MIN_SCORE)
+            : this.getBrowseResults();
+        
+        // Los filtros se aplican después de contar cada faceta
+        const scoredResults = matchingResults
+            .filter(result => this.matchesFilters(result.product))
+            .sort((a, b) => b.score - a.score);
+        
+        // Respuesta compacta: índices y scores en arrays tipados
+        return {
+            indices: Uint32Array.from(scoredResults, result => result.index),
+            scores: Float32Array.from(scoredResults, result => result.score),
+            facets: this.countFacets(matchingResults)
+        };
+    }
+
+    hasActiveFilters() {
+        const { rubro, marca, precioMin, precioMax } = this.state.filters;
+        return Boolean(rubro || marca) || precioMin !== null || precioMax !== null;
+    }
+
+    getBrowseResults() {
+        // Sin filtros no se lista el catálogo entero
+        if (!this.hasActiveFilters()) return [];
+        
+        if (!this.state.browseOrder) {
+            const collator = new Intl.Collator('es');
+            this.state.browseOrder = this.state.products
+                .map((product, index) => index)
+                .sort((a, b) => collator.compare(
+                    this.state.products[a].descripcion,
+                    this.state.products[b].descripcion
+                ));
+        }
+        
+        // Mismo score para todos: el orden estable queda por descripción
+        return this.state.browseOrder.map(index => ({
+            product: this.state.products[index],
+            index: index,
+            score: 0
+        }));
+    }
+
+    matchesFilters(product, ignore = null) {
+        const { rubro, marca, precioMin, precioMax, lista } = this.state.filters;
+        
+        if (rubro && ignore !== 'rubro' && product.rubro !== rubro) return false;
+        if (marca && ignore !== 'marca' && product.marca !== marca) return false;
+        
+        if (precioMin !== null || precioMax !== null) {
+            const precio = this.getPrice(product, lista);
+            if (precioMin !== null && precio < precioMin) return false;
+            if (precioMax !== null && precio > precioMax) return false;
+        }
+        
+        return true;
+    }
+
+    getPrice(product, lista) {
+        // Listas adicionales en product.precios; si falta, la de siempre
+        return (lista && product.precios && product.precios[lista]) || product.precio_venta;
+    }
+
+    countFacets(results) {
+        // Cada faceta cuenta con los demás filtros aplicados, pero no el
+        // propio: así se ve cuántos productos hay en cada opción alternativa
+        const rubros = new Map();
+        const marcas = new Map();
+        
+        results.forEach(({ product }) => {
+            if (product.rubro && this.matchesFilters(product, 'rubro')) {
+                rubros.set(product.rubro, (rubros.get(product.rubro) || 0) + 1);
+            }
+            if (product.marca && this.matchesFilters(product, 'marca')) {
+                marcas.set(product.marca, (marcas.get(product.marca) || 0) + 1);
+            }
+        });
+        
+        return {
+            rubros: Array.from(rubros),
+            marcas: Array.from(marcas)
+        };
+    }
+
+    suggest(searchTerm) {
+        this.state.searchTerm = searchTerm;
+        return this.getSpellingSuggestion();
+    }
+
+    findRelevantProducts() {
+        if (!this.state.searchTerm) return [];
+        
+        const clauses = this.expandQuery(this.state.searchTerm);
+        
+        if (clauses.length === 0) return [];
+        
+        this.state.fuzzyTerms.clear();
+        
+        // Encontrar productos que contengan TODAS las palabras (AND lógico)
+        let productIndices = null;
+        
+        clauses.forEach(alternatives => {
+            const indices = this.getIndicesForClause(alternatives);
+            
+            // Palabra opcional (ej: "para" ↔ "p/"), no restringe
+            if (!indices) return;
+            
+            if (productIndices === null) {
+                productIndices = new Set(indices);
+            } else {
+                // Intersección de conjuntos
+                productIndices = new Set(
+                    [...productIndices].filter(idx => indices.has(idx))
+                );
+            }
+        });
+        
+        if (!productIndices || productIndices.size === 0) {
+            return [];
+        }
+        
+        // Convertir índices a productos
+        return Array.from(productIndices).map(index => ({
+            product: this.state.products[index],
+            normalized: this.state.normalizedData[index],
+            index: index
+        }));
+    }
+
+    expandQuery(text) {
+        // Agrupa las palabras en cláusulas: cada cláusula es una lista de
+        // alternativas (sinónimos) y cada alternativa una lista de palabras.
+        // La primera alternativa es siempre lo que se escribió
+        const words = this.tokenize(text);
+        const clauses = [];
+        
+        let i = 0;
+        while (i < words.length) {
+            let matched = false;
+            
+            // Buscar primero la frase de sinónimo más larga ("llave francesa")
+            const maxLength = Math.min(this.state.synonymMaxWords, words.length - i);
+            for (let length = maxLength; length >= 1 && !matched; length--) {
+                const phrase = words.slice(i, i + length).join(' ');
+                const alternatives = this.state.synonyms.get(phrase);
+                
+                if (alternatives) {
+                    const typed = words.slice(i, i + length);
+                    clauses.push([typed].concat(alternatives.filter(alternative => alternative.join(' ') !== phrase)));
+                    i += length;
+                    matched = true;
+                }
+            }
+            
+            if (!matched) {
+                clauses.push([[words[i]]]);
+                i++;
+            }
+        }
+        
+        return clauses;
+    }
+
+    getIndicesForClause(alternatives) {
+        // Una alternativa vacía (abreviatura descartada al indexar) vuelve opcional la palabra
+        if (alternatives.some(words => words.length === 0)) {
+            return null;
+        }
+        
+        if (alternatives.length === 1 && alternatives[0].length === 1) {
+            // Coincidencia exacta o por prefijo ("marti" → "martillo")
+            return this.getIndicesForWord(alternatives[0][0]);
+        }
+        
+        // Unión de alternativas; dentro de cada una, intersección de palabras.
+        // Solo lo escrito se busca por prefijo: los sinónimos van exactos, si no
+        // una abreviatura corta ("red", "imp") trae todo lo que empieza igual
+        const indices = new Set();
+        alternatives.forEach((words, position) => {
+            let matches = null;
+            words.forEach(word => {
+                const wordIndices = position === 0
+                    ? this.getIndicesForWord(word)
+                    : this.state.searchIndex.get(word) || new Set();
+                matches = matches === null
+                    ? new Set(wordIndices)
+                    : new Set([...matches].filter(idx => wordIndices.has(idx)));
+            });
+            matches.forEach(idx => indices.add(idx));
+        });
+        return indices;
+    }
+
+    calculateProductScores(products) {
+        if (!this.state.searchTerm || products.length === 0) {
+            return [];
+        }
+        
+        const clauses = this.expandQuery(this.state.searchTerm);
+        
+        return products.map(item => {
+            let score = 0;
+            const { normalized } = item;
+            
+            // Con sinónimos se puntúa la alternativa que mejor coincide
+            clauses.forEach(alternatives => {
+                score += Math.max(...alternatives.map(words =>
+                    words.reduce((sum, word) => sum + this.scoreWord(normalized, word), 0)
+                ));
+            });
+            
+            return {
+                ...item,
+                score: score / 100 // Normalizar a escala 0-1
+            };
+        });
+    }
+
+    scoreWord(normalized, word) {
+        let score = 0;
+        
+        // 1. PUNTUACIÓN POR CÓDIGO (MÁXIMA PRIORIDAD)
+        if (normalized.codigoNormalized === word) {
+            score += this.CONFIG.SCORE_WEIGHTS.CODIGO_EXACTO;
+        } else if (normalized.codigoNormalized.startsWith(word)) {
+            score += this.CONFIG.SCORE_WEIGHTS.CODIGO_STARTS_WITH;
+        } else if (normalized.codigoNormalized.includes(word)) {
+            score += this.CONFIG.SCORE_WEIGHTS.CODIGO_CONTAINS;
+        }
+        
+        // 2. PUNTUACIÓN POR DESCRIPCIÓN (ALTA PRIORIDAD)
+        const descWords = normalized.descripcionTokens;
+        if (descWords.includes(word)) {
+            score += this.CONFIG.SCORE_WEIGHTS.DESCRIPCION_PALABRA;
+        } else if (descWords.some(descWord => descWord.startsWith(word))) {
+            // Palabra incompleta: puntúa por debajo de la palabra exacta
+            score += this.CONFIG.SCORE_WEIGHTS.DESCRIPCION_PREFIJO;
+        } else if (descWords.some(descWord => descWord.includes(word))) {
+            score += this.CONFIG.SCORE_WEIGHTS.DESCRIPCION_CONTAINS;
+        }
+        
+        // 3. PUNTUACIÓN POR MARCA
+        if (normalized.marcaNormalized === word) {
+            score += this.CONFIG.SCORE_WEIGHTS.MARCA_EXACTA;
+        } else if (normalized.marcaNormalized.includes(word)) {
+            score += this.CONFIG.SCORE_WEIGHTS.MARCA_CONTAINS;
+        }
+        
+        // 4. PUNTUACIÓN POR RUBRO
+        if (normalized.rubroNormalized === word) {
+            score += this.CONFIG.SCORE_WEIGHTS.RUBRO_EXACTO;
+        }
+        
+        // 5. COINCIDENCIAS MÚLTIPLES EN EL TEXTO DE BÚSQUEDA
+        let matches = 0;
+        normalized.searchTokens.forEach(token => {
+            if (token === word) matches++;
+        });
+        score += matches * this.CONFIG.SCORE_WEIGHTS.MULTIPLE_MATCHES;
+        
+        // 6. COINCIDENCIA APROXIMADA (ERROR DE TIPEO), DEBAJO DE LAS EXACTAS
+        const fuzzyTerms = this.state.fuzzyTerms.get(word);
+        if (fuzzyTerms) {
+            if (fuzzyTerms.some(term => normalized.searchTokens.includes(term))) {
+                score += this.CONFIG.SCORE_WEIGHTS.FUZZY_MATCH;
+            }
+        }
+        
+        return score;
+    }
+
+}
+
+// Node (catalog-converter.js): exportar; en el navegador y el worker queda global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchEngine;
+}
@@ -0,0 +1,222 @@
+// ==============================================
+// WORKER DE BÚSQUEDA
+// Parseo, indexado y scoring fuera del hilo de UI
+// ==============================================
+
+importScripts('search-engine.js', 'catalog-store.js');
+
+// ==============================================
+// PROTOCOLO DE MENSAJES
+// ==============================================
+//
+// Entrada:  { id, type: 'load', productsUrl, synonymsUrl, indexUrl, metaUrl }
+//           { id, type: 'search', searchTerm, filters: { rubro, marca, precioMin, precioMax, lista } }
+//           { id, type: 'suggest', searchTerm }
+//           { id, type: 'refresh' }
+//           { type: 'cancel', id }
+// Salida:   { id, type: 'loaded', products, rubros, marcas, version, savedAt, meta, fromCache }
+//           { type: 'updated', products, rubros, marcas, version, savedAt, meta }   (catálogo nuevo en segundo plano)
+//           { id, type: 'results', indices, scores, facets: { rubros, marcas } }
+//           { id, type: 'suggestion', suggestion }
+//           { id, type: 'refreshed', version }
+//           { id, type: 'cancelled' }
+//           { id, type: 'error', message }
+
+let engine = new SearchEngine();
+const catalogStore = new CatalogStore();
+let pendingSearch = null;   // Solo se ejecuta la búsqueda más reciente
+let catalogUrls = null;     // URLs del último 'load', para refrescar
+let catalogSavedAt = null;  // Cuándo se descargó el catálogo en uso
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'load':
+            handleLoad(message);
+            break;
+        case 'search':
+            // Una búsqueda nueva reemplaza a la que todavía no empezó
+            if (pendingSearch) {
+                self.postMessage({ id: pendingSearch.id, type: 'cancelled' });
+            }
+            pendingSearch = message;
+            setTimeout(runPendingSearch, 0);
+            break;
+        case 'suggest':
+            respond(message.id, () => ({
+                type: 'suggestion',
+                suggestion: engine.suggest(message.searchTerm)
+            }));
+            break;
+        case 'refresh':
+            // El service worker avisó que hay un catálogo nuevo
+            checkForUpdate(catalogUrls).then(() => {
+                self.postMessage({ id: message.id, type: 'refreshed', version: engine.state.version });
+            });
+            break;
+        case 'cancel':
+            if (pendingSearch && pendingSearch.id === message.id) {
+                self.postMessage({ id: pendingSearch.id, type: 'cancelled' });
+                pendingSearch = null;
+            }
+            break;
+    }
+});
+
+async function handleLoad(message) {
+    catalogUrls = {
+        productsUrl: message.productsUrl,
+        synonymsUrl: message.synonymsUrl,
+        indexUrl: message.indexUrl,
+        metaUrl: message.metaUrl
+    };
+    
+    try {
+        // 1. Arranque instantáneo desde IndexedDB si hay un catálogo guardado
+        const cached = await loadCachedCatalog(message.synonymsUrl);
+        
+        if (cached) {
+            postCatalog('loaded', message.id, { fromCache: true });
+            checkForUpdate(catalogUrls);
+            return;
+        }
+        
+        // 2. Primera visita: descargar, indexar y guardar
+        await engine.load(catalogUrls);
+        catalogSavedAt = Date.now();
+        postCatalog('loaded', message.id, { fromCache: false });
+        saveCatalog(engine);
+        
+    } catch (error) {
+        self.postMessage({ id: message.id, type: 'error', message: error.message });
+    }
+}
+
+async function loadCachedCatalog(synonymsUrl) {
+    try {
+        const record = await catalogStore.loadLatest();
+        if (!record) return false;
+        
+        await engine.loadSynonyms(synonymsUrl);
+        engine.importIndex(record.index, record.products);
+        engine.state.etag = record.etag;
+        engine.state.meta = record.meta || null;
+        catalogSavedAt = record.savedAt;
+        
+        console.log(`✅ Catálogo ${record.version} cargado desde IndexedDB`);
+        return true;
+        
+    } catch (error) {
+        // IndexedDB no disponible o formato viejo: se descarga de nuevo
+        console.warn('⚠️ No se pudo usar el catálogo guardado:', error.message);
+        return false;
+    }
+}
+
+async function checkForUpdate(urls) {
+    try {
+        const fresh = new SearchEngine();
+        const download = await fresh.fetchProducts(urls.productsUrl, {
+            etag: engine.state.etag
+        });
+        
+        // 304: el catálogo guardado sigue vigente
+        if (!download) return;
+        
+        const version = fresh.hashText(download.text);
+        if (version === engine.state.version) {
+            const changes = {};
+            if (download.etag !== engine.state.etag) {
+                engine.state.etag = download.etag;
+                changes.etag = download.etag;
+            }
+            
+            // catalog-meta.json pudo haberse subido después que products.json
+            if (!engine.state.meta && urls.metaUrl && await engine.loadMeta(urls.metaUrl, version)) {
+                changes.meta = engine.state.meta;
+                postCatalog('updated');
+            }
+            updateCatalog(version, changes);
+            return;
+        }
+        
+        // Hay un catálogo nuevo: indexarlo sin tocar el que está en uso
+        await fresh.loadSynonyms(urls.synonymsUrl);
+        if (!(urls.indexUrl && await fresh.loadPrebuiltIndex(urls.indexUrl, download.text))) {
+            fresh.buildFromText(download.text);
+        }
+        fresh.state.etag = download.etag;
+        if (urls.metaUrl) {
+            await fresh.loadMeta(urls.metaUrl, version);
+        }
+        
+        engine = fresh;
+        catalogSavedAt = Date.now();
+        saveCatalog(engine);
+        postCatalog('updated');
+        
+        console.log(`✅ Catálogo actualizado a la versión ${version}`);
+        
+    } catch (error) {
+        // Sin conexión o error de red: se sigue con el catálogo guardado
+        console.warn('⚠️ No se pudo verificar si hay un catálogo nuevo:', error.message);
+    }
+}
+
+function saveCatalog(source) {
+    catalogStore.save({
+        version: source.state.version,
+        etag: source.state.etag,
+        meta: source.state.meta,
+        products: source.state.products,
+        index: source.exportIndex(source.state.version),
+        savedAt: catalogSavedAt
+    }).catch(error => {
+        console.warn('⚠️ No se pudo guardar el catálogo en IndexedDB:', error);
+    });
+}
+
+function updateCatalog(version, changes) {
+    // Mismo catálogo: no reescribir el índice si no cambió nada
+    if (Object.keys(changes).length === 0) return;
+    
+    catalogStore.update(version, changes).catch(error => {
+        console.warn('⚠️ No se pudo actualizar el catálogo en IndexedDB:', error);
+    });
+}
+
+function postCatalog(type, id, extra = {}) {
+    self.postMessage({
+        id: id,
+        type: type,
+        products: engine.state.products,
+        rubros: Array.from(engine.state.rubros),
+        marcas: Array.from(engine.state.marcas),
+        version: engine.state.version,
+        savedAt: catalogSavedAt,
+        meta: engine.state.meta,
+        ...extra
+    });
+}
+
+function runPendingSearch() {
+    if (!pendingSearch) return;
+    
+    const message = pendingSearch;
+    pendingSearch = null;
+    
+    respond(message.id, () => {
+        const { indices, scores, facets } = engine.search(message.searchTerm, message.filters);
+        return { type: 'results', indices, scores, facets, transfer: [indices.buffer, scores.buffer] };
+    });
+}
+
+function respond(id, handler) {
+    try {
+        const { transfer = [], ...response } = handler();
+        self.postMessage({ id, ...response }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+}
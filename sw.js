@@ -1,11 +1,34 @@
 // Service Worker para cache de assets
-const CACHE_NAME = 'ferreteria-cache-v1.2';
+const CACHE_NAME = 'ferreteria-cache-v1.9';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
+    '/offline.html',
     '/styles.css',
     '/app.js',
-    '/products.json'
+    '/search-engine.js',
+    '/catalog-store.js',
+    '/search-worker.js',
+    '/products.json',
+    '/synonyms.json',
+    '/shop-config.json'
+];
+
+// Lista de precios: stale-while-revalidate, con aviso a la página si cambió
+const CATALOG_FILE = '/products.json';
+
+// Generados junto con products.json: se revalidan con él antes de avisar,
+// así la página recibe el índice y los datos de la lista nueva
+const SIDECAR_FILES = [
+    '/products-index.json',
+    '/catalog-meta.json'
+];
+
+// Diccionario y configuración del comercio: se revalidan sin avisar
+// (no son precios nuevos; se usan en la próxima carga)
+const CONFIG_FILES = [
+    '/synonyms.json',
+    '/shop-config.json'
 ];
 
 // Instalar y cachear assets
@@ -44,6 +67,18 @@ self.addEventListener('fetch', event => {
     // Evitar cachear requests de analytics
     if (event.request.url.includes('analytics')) return;
     
+    // Catálogo: responder con lo cacheado y revalidar en segundo plano
+    const url = new URL(event.request.url);
+    if (url.pathname === CATALOG_FILE) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+    
+    if (SIDECAR_FILES.includes(url.pathname) || CONFIG_FILES.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, { notify: false }));
+        return;
+    }
+    
     event.respondWith(
         caches.match(event.request)
             .then(cachedResponse => {
@@ -72,26 +107,81 @@ self.addEventListener('fetch', event => {
                         return response;
                     })
                     .catch(() => {
-                        // Fallback para products.json
-                        if (event.request.url.includes('products.json')) {
-                            return new Response(JSON.stringify([]), {
-                                headers: { 'Content-Type': 'application/json' }
-                            });
-                        }
-                        
-                        // Fallback para otros assets
-                        if (event.request.url.endsWith('.css')) {
-                            return new Response('', {
-                                headers: { 'Content-Type': 'text/css' }
-                            });
+                        // Navegación sin conexión ni cache: página offline
+                        if (event.request.mode === 'navigate') {
+                            return caches.match('/offline.html');
                         }
                         
-                        if (event.request.url.endsWith('.js')) {
-                            return new Response('', {
-                                headers: { 'Content-Type': 'application/javascript' }
-                            });
-                        }
+                        // Otros assets: error de red real (nunca un cuerpo vacío
+                        // que rompa la página o un catálogo vacío)
+                        return Response.error();
                     });
             })
     );
 });
+
+// Stale-while-revalidate con aviso a la página si el contenido cambió
+async function staleWhileRevalidate(event, { notify = true } = {}) {
+    const cache = await caches.open(CACHE_NAME);
+    const cachedResponse = await cache.match(event.request, { ignoreSearch: true });
+    
+    const networkUpdate = fetch(event.request)
+        .then(async response => {
+            if (!response || response.status !== 200) {
+                return response;
+            }
+            
+            const changed = notify && cachedResponse &&
+                !(await isSameContent(cachedResponse.clone(), response.clone()));
+            
+            await cache.put(event.request, response.clone());
+            
+            if (changed) {
+                await refreshSidecars(cache);
+                notifyClients({ type: 'CATALOG_UPDATED', url: event.request.url });
+            }
+            
+            return response;
+        });
+    
+    if (cachedResponse) {
+        // La revalidación sigue aunque la página ya tenga su respuesta
+        event.waitUntil(networkUpdate.catch(() => {}));
+        return cachedResponse;
+    }
+    
+    return networkUpdate;
+}
+
+async function refreshSidecars(cache) {
+    await Promise.all(SIDECAR_FILES.map(async path => {
+        try {
+            const response = await fetch(path, { cache: 'no-cache' });
+            if (response.status === 200) {
+                await cache.put(path, response);
+            }
+        } catch (error) {
+            // Sin conexión: quedan los cacheados y el worker arma el índice en el cliente
+        }
+    }));
+}
+
+async function isSameContent(cachedResponse, freshResponse) {
+    const cachedEtag = cachedResponse.headers.get('ETag');
+    const freshEtag = freshResponse.headers.get('ETag');
+    
+    if (cachedEtag && freshEtag) {
+        return cachedEtag === freshEtag;
+    }
+    
+    const [cachedText, freshText] = await Promise.all([
+        cachedResponse.text(),
+        freshResponse.text()
+    ]);
+    return cachedText === freshText;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
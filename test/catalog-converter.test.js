@@ -0,0 +1,259 @@
+// ==============================================
+// PRUEBAS DEL CONVERSOR (catalog-converter.js)
+// Planillas de prueba en test/fixtures:
+// - lista.xlsx: hoja "Notas" primero; "Precios" con título arriba de los encabezados,
+//   código repetido (A3), código genérico (000000), precio vacío (A5), fila sin código
+//   y precio fuera de rango (A6)
+// - proveedor.xlsx: A1 más barato, A2 más caro e I1 que no está en la lista
+// ==============================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const XLSX = require('xlsx');
+const CatalogConverter = require('../catalog-converter.js');
+const SearchEngine = require('../search-engine.js');
+
+const PRICE_LISTS = [
+    { id: 'minorista', nombre: 'Minorista', columna: 'Lista2' },
+    { id: 'mayorista', nombre: 'Mayorista', columna: 'Lista1' }
+];
+
+function readFixture(name) {
+    return XLSX.readFile(path.join(__dirname, 'fixtures', name));
+}
+
+function createConverter(options = {}) {
+    return new CatalogConverter({ xlsx: XLSX, priceLists: PRICE_LISTS, ...options });
+}
+
+// Fuente con la hoja y los encabezados detectados, como la arma la página
+function detectSource(converter, name, fuente) {
+    const workbook = readFixture(name);
+    const hoja = converter.findSheet(workbook);
+    const { rows, startRow } = converter.readSheet(workbook, hoja);
+    const headerIndex = converter.detectHeaderRow(rows);
+    const mapping = converter.guessMapping(converter.getHeaders(rows, headerIndex));
+    
+    return { fuente, archivo: name, hoja, rows, startRow, headerIndex, mapping };
+}
+
+// ==============================================
+// 1. LECTURA Y MAPEO
+// ==============================================
+
+test('encuentra la hoja con datos y la fila de encabezados debajo del título', () => {
+    const converter = createConverter();
+    const source = detectSource(converter, 'lista.xlsx', 'lista');
+    
+    assert.equal(source.hoja, 'Precios');
+    assert.equal(source.headerIndex + source.startRow + 1, 3);
+    assert.deepEqual(source.mapping, {
+        codigo: 'Código',
+        descripcion: 'Descripción',
+        rubro: 'Rubro',
+        marca: 'Marca',
+        precio_venta: 'Lista2',
+        'precios.mayorista': 'Lista1'
+    });
+});
+
+test('matchesPreset reconoce la planilla solo si tiene todos los encabezados', () => {
+    const converter = createConverter();
+    const workbook = readFixture('lista.xlsx');
+    const preset = {
+        nombre: 'Sistema',
+        hoja: 'Precios',
+        filaEncabezado: 3,
+        columnas: { codigo: 'Código', descripcion: 'Descripción', precio_venta: 'Lista2' }
+    };
+    
+    assert.equal(converter.matchesPreset(workbook, preset), true);
+    assert.equal(converter.matchesPreset(workbook, { ...preset, filaEncabezado: 1 }), false);
+    assert.equal(converter.matchesPreset(workbook, { ...preset, hoja: 'Otra' }), false);
+    assert.equal(converter.matchesPreset(readFixture('proveedor.xlsx'), preset), false);
+});
+
+test('applyPreset usa la hoja y la fila del preset y deja sin asignar las columnas que faltan', () => {
+    const converter = createConverter();
+    const workbook = readFixture('lista.xlsx');
+    
+    const { sheetName, headerIndex, startRow, mapping } = converter.applyPreset(workbook, {
+        nombre: 'Sistema',
+        hoja: 'Precios',
+        filaEncabezado: 3,
+        columnas: { codigo: 'Código', descripcion: 'Descripción', precio_venta: 'Lista1', marca: 'Fabricante' }
+    });
+    
+    assert.equal(sheetName, 'Precios');
+    assert.equal(headerIndex + startRow + 1, 3);
+    assert.equal(mapping.precio_venta, 'Lista1');
+    assert.equal(mapping.marca, '');
+    assert.equal(mapping.rubro, 'Rubro');
+});
+
+// ==============================================
+// 2. CONVERSIÓN Y VALIDACIÓN
+// ==============================================
+
+test('convert bloquea la publicación si se superan los límites por defecto', () => {
+    const converter = createConverter();
+    const result = converter.convert({ sources: [detectSource(converter, 'lista.xlsx', 'lista')] });
+    
+    // 2 de 8 filas rechazadas (25%) contra el 10% por defecto
+    assert.equal(result.files, null);
+    assert.equal(result.validation.rejected, 2);
+    assert.equal(result.validation.bloqueos.length, 1);
+    assert.match(result.validation.bloqueos[0], /25\.0%/);
+});
+
+test('convert genera los archivos con las filas válidas y el reporte de problemas', () => {
+    const converter = createConverter({ limits: { maxRejectedPct: 50 } });
+    const result = converter.convert({ sources: [detectSource(converter, 'lista.xlsx', 'lista')] });
+    
+    assert.ok(result.files);
+    assert.deepEqual(result.products.map(product => product.codigo), ['A1', 'A2', 'A3', 'A3', '000000', 'A6']);
+    assert.deepEqual(result.products[0], {
+        codigo: 'A1',
+        descripcion: 'Martillo carpintero',
+        rubro: 'HERRAMIENTAS',
+        marca: 'STANLEY',
+        precio_venta: 10000,
+        fuente: 'lista',
+        precios: { mayorista: 8000 }
+    });
+    
+    // Filas rechazadas con su número de fila en el Excel
+    const rejected = result.validation.issues.filter(issue => issue.rechazada);
+    assert.deepEqual(rejected.map(issue => [issue.fila, issue.motivo]), [
+        [9, 'Precio vacío o inválido (vacío)'],
+        [10, 'Sin código']
+    ]);
+    
+    const motivos = result.validation.issues.map(issue => issue.motivo);
+    assert.ok(motivos.includes('Código repetido (filas 6, 7)'));
+    assert.ok(motivos.includes('Código genérico (no identifica al producto)'));
+    assert.ok(motivos.includes('Precio fuera de rango'));
+    assert.equal(result.validation.duplicateCodes, 1);
+    
+    // El meta y el índice corresponden al products.json generado
+    const engine = new SearchEngine();
+    const hash = engine.hashText(result.files['products.json']);
+    assert.equal(JSON.parse(result.files['catalog-meta.json']).hash, hash);
+    assert.equal(result.index.version, hash);
+});
+
+test('validate aplica los límites configurables y un límite vacío no bloquea', () => {
+    const sources = converter => [detectSource(converter, 'lista.xlsx', 'lista')];
+    
+    const strict = createConverter({ limits: { maxRejectedPct: 50, maxDuplicateCodes: 0 } });
+    const blocked = strict.convert({ sources: sources(strict) });
+    assert.equal(blocked.files, null);
+    assert.deepEqual(blocked.validation.bloqueos, ['Hay 1 códigos repetidos (límite 0)']);
+    
+    const unlimited = createConverter({ limits: { maxRejectedPct: NaN, maxDuplicateCodes: NaN } });
+    const published = unlimited.convert({ sources: sources(unlimited) });
+    assert.deepEqual(published.validation.bloqueos, []);
+    assert.ok(published.files);
+});
+
+// ==============================================
+// 3. VARIAS FUENTES
+// ==============================================
+
+test('mergeSources con prioridad se queda con la primera fuente', () => {
+    const converter = createConverter({ limits: { maxRejectedPct: 50 } });
+    const result = converter.convert({
+        sources: [
+            detectSource(converter, 'lista.xlsx', 'ERP'),
+            detectSource(converter, 'proveedor.xlsx', 'INGCO')
+        ],
+        conflicto: 'prioridad'
+    });
+    
+    const byCode = new Map(result.products.map(product => [product.codigo, product]));
+    assert.equal(byCode.get('A1').fuente, 'ERP');
+    assert.equal(byCode.get('A1').precio_venta, 10000);
+    assert.equal(byCode.get('A2').fuente, 'ERP');
+    assert.equal(byCode.get('I1').fuente, 'INGCO');
+    
+    assert.deepEqual(result.conflicts.map(conflict => [conflict.codigo, conflict.ganadora, conflict.descartadas]), [
+        ['A1', 'ERP', [{ fuente: 'INGCO', precio: 9500 }]],
+        ['A2', 'ERP', [{ fuente: 'INGCO', precio: 6000 }]]
+    ]);
+    assert.deepEqual(JSON.parse(result.files['catalog-meta.json']).fuentes.map(item => [item.fuente, item.productos]), [
+        ['ERP', 6],
+        ['INGCO', 1]
+    ]);
+});
+
+test('mergeSources con menor precio elige la fuente más barata por código', () => {
+    const converter = createConverter({ limits: { maxRejectedPct: 50 } });
+    const result = converter.convert({
+        sources: [
+            detectSource(converter, 'lista.xlsx', 'ERP'),
+            detectSource(converter, 'proveedor.xlsx', 'INGCO')
+        ],
+        conflicto: 'menor-precio'
+    });
+    
+    const byCode = new Map(result.products.map(product => [product.codigo, product]));
+    assert.equal(byCode.get('A1').fuente, 'INGCO');
+    assert.equal(byCode.get('A1').precio_venta, 9500);
+    assert.equal(byCode.get('A2').fuente, 'ERP');
+    assert.equal(result.products.filter(product => product.codigo === 'A1').length, 1);
+    
+    // Los avisos de las filas descartadas no quedan en el reporte
+    assert.ok(!result.validation.issues.some(issue => issue.fuente === 'ERP' && issue.codigo === 'A1'));
+});
+
+test('mergeSources rechaza una regla de conflicto desconocida', () => {
+    const converter = createConverter({ limits: { maxRejectedPct: 50 } });
+    
+    assert.throws(
+        () => converter.convert({ sources: [detectSource(converter, 'lista.xlsx', 'ERP')], conflicto: 'barato' }),
+        /Regla de conflicto desconocida: barato/
+    );
+});
+
+// ==============================================
+// 4. HISTORIAL DE PRECIOS
+// ==============================================
+
+test('applyPriceHistory registra el cambio y conserva el historial de los precios sin cambios', () => {
+    const converter = createConverter();
+    const previous = [
+        {
+            codigo: 'A1',
+            descripcion: 'Martillo',
+            precio_venta: 9000,
+            fecha_cambio: '2026-01-10',
+            historial: [1, 2, 3, 4, 5, 6].map(i => ({ fecha: `2026-0${i}-01`, precio: 8000 + i }))
+        },
+        { codigo: 'A2', descripcion: 'Pinza', precio_venta: 5000, precio_anterior: 4500, fecha_cambio: '2026-02-01' },
+        { codigo: 'A3', descripcion: 'Destornillador', precio_venta: 1000 }
+    ];
+    const products = [
+        { codigo: 'A1', descripcion: 'Martillo', precio_venta: 10000 },
+        { codigo: 'A2', descripcion: 'Pinza', precio_venta: 5000 },
+        { codigo: 'A3', descripcion: 'Destornillador', precio_venta: 1200 },
+        { codigo: 'A9', descripcion: 'Nuevo', precio_venta: 300 }
+    ];
+    
+    assert.equal(converter.applyPriceHistory(previous, products, '2026-10-19'), 2);
+    
+    // Historial limitado a los últimos PRICE_HISTORY_MAX precios, con el vigente al final
+    assert.equal(products[0].precio_anterior, 9000);
+    assert.equal(products[0].fecha_cambio, '2026-10-19');
+    assert.equal(products[0].historial.length, converter.CONFIG.PRICE_HISTORY_MAX);
+    assert.deepEqual(products[0].historial.at(-1), { fecha: '2026-10-19', precio: 10000 });
+    
+    assert.equal(products[1].precio_anterior, 4500);
+    assert.equal(products[1].fecha_cambio, '2026-02-01');
+    
+    assert.deepEqual(products[2].historial, [
+        { fecha: null, precio: 1000 },
+        { fecha: '2026-10-19', precio: 1200 }
+    ]);
+    assert.equal(products[3].historial, undefined);
+});
@@ -0,0 +1,121 @@
+// ==============================================
+// PRUEBAS DE LA LÍNEA DE COMANDOS (convert.js)
+// ==============================================
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, parseArgs } = require('../convert.js');
+
+const LISTA = path.join(__dirname, 'fixtures', 'lista.xlsx');
+const PROVEEDOR = path.join(__dirname, 'fixtures', 'proveedor.xlsx');
+
+const tempDirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'convert-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+after(() => {
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+// ==============================================
+// 1. ARGUMENTOS
+// ==============================================
+
+test('parseArgs separa las fuentes y las opciones', () => {
+    const options = parseArgs([
+        'ERP=sistema.xlsx',
+        'kloss.xlsx#Lista 2024',
+        'ingco.xlsx',
+        '-o', 'salida/products.json',
+        '--conflict', 'menor-precio',
+        '--max-duplicates', '5',
+        '--no-previous'
+    ]);
+    
+    assert.deepEqual(options.inputs, [
+        { fuente: 'ERP', archivo: 'sistema.xlsx', hoja: '' },
+        { fuente: '', archivo: 'kloss.xlsx', hoja: 'Lista 2024' },
+        { fuente: '', archivo: 'ingco.xlsx', hoja: '' }
+    ]);
+    assert.equal(options.output, 'salida/products.json');
+    assert.equal(options.conflict, 'menor-precio');
+    assert.equal(options.maxDuplicates, '5');
+    assert.equal(options.previous, null);
+});
+
+test('parseArgs rechaza opciones desconocidas y opciones sin valor', () => {
+    assert.throws(() => parseArgs(['lista.xlsx', '--bogus']), /Opción desconocida: --bogus/);
+    assert.throws(() => parseArgs(['lista.xlsx', '-o']), /Falta el valor de -o/);
+});
+
+// ==============================================
+// 2. CONVERSIÓN
+// ==============================================
+
+test('main genera products.json, el índice, el meta y los reportes', () => {
+    const dir = tempDir();
+    const output = path.join(dir, 'products.json');
+    const reports = path.join(dir, 'reportes');
+    
+    const code = main([LISTA, '-o', output, '--no-previous', '--max-rejected', '50', '--reports', reports]);
+    
+    assert.equal(code, 0);
+    const products = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.equal(products.length, 6);
+    assert.equal(products[0].fuente, 'lista');
+    assert.ok(fs.existsSync(path.join(dir, 'products-index.json')));
+    
+    const meta = JSON.parse(fs.readFileSync(path.join(dir, 'catalog-meta.json'), 'utf8'));
+    assert.equal(meta.archivo, 'lista.xlsx');
+    assert.equal(meta.hoja, 'Precios');
+    
+    const csv = fs.readFileSync(path.join(reports, 'validacion.csv'), 'utf8');
+    assert.match(csv, /^\uFEFFSeveridad;Fuente;Fila/);
+    assert.match(csv, /error;lista;10;;Articulo sin codigo;Sin código;Rechazada/);
+});
+
+test('main no escribe archivos y termina con error si la validación bloquea', () => {
+    const dir = tempDir();
+    const output = path.join(dir, 'products.json');
+    
+    assert.equal(main([LISTA, '-o', output, '--no-previous']), 1);
+    assert.equal(fs.existsSync(output), false);
+});
+
+test('main combina fuentes y usa la salida anterior como lista publicada', () => {
+    const dir = tempDir();
+    const output = path.join(dir, 'products.json');
+    const reports = path.join(dir, 'reportes');
+    
+    assert.equal(main([LISTA, '-o', output, '--no-previous', '--max-rejected', '50']), 0);
+    assert.equal(main([
+        `ERP=${LISTA}`,
+        `INGCO=${PROVEEDOR}`,
+        '-o', output,
+        '--conflict', 'menor-precio',
+        '--max-rejected', '50',
+        '--reports', reports
+    ]), 0);
+    
+    const products = JSON.parse(fs.readFileSync(output, 'utf8'));
+    const martillo = products.find(product => product.codigo === 'A1');
+    assert.equal(martillo.fuente, 'INGCO');
+    assert.equal(martillo.precio_anterior, 10000);
+    assert.ok(products.some(product => product.codigo === 'I1'));
+    
+    assert.ok(fs.existsSync(path.join(reports, 'cambios-de-precios.csv')));
+    assert.match(fs.readFileSync(path.join(reports, 'codigos-en-varias-fuentes.csv'), 'utf8'), /A1;.*;INGCO;9500;ERP \(\$10000\)/);
+});
+
+test('main avisa si falta la hoja pedida', () => {
+    const dir = tempDir();
+    
+    assert.equal(main([`${LISTA}#Inexistente`, '-o', path.join(dir, 'products.json'), '--no-previous']), 1);
+});
@@ -0,0 +1,291 @@
+// ==============================================
+// PRUEBAS DEL MOTOR DE BÚSQUEDA (search-engine.js)
+// En las pruebas de carga, fetch sirve archivos en memoria como lo haría Netlify
+// ==============================================
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchEngine = require('../search-engine.js');
+const SYNONYMS = require('../synonyms.json');
+
+const URLS = {
+    productsUrl: '/products.json',
+    synonymsUrl: '/synonyms.json',
+    indexUrl: '/products-index.json',
+    metaUrl: '/catalog-meta.json'
+};
+
+const PRODUCTS = [
+    { codigo: 'A1', descripcion: 'Martillo carpintero', rubro: 'HERRAMIENTAS', marca: 'STANLEY', precio_venta: 10000 },
+    { codigo: 'A2', descripcion: 'Pinza universal', rubro: 'HERRAMIENTAS', marca: 'STANLEY', precio_venta: 5000 }
+];
+
+let files = {};
+const originalFetch = global.fetch;
+const originalLog = console.log;
+const originalWarn = console.warn;
+
+beforeEach(() => {
+    files = {};
+    global.fetch = async url => files[url] === undefined
+        ? new Response('', { status: 404, statusText: 'Not Found' })
+        : new Response(files[url], { status: 200 });
+    console.log = () => {};
+    console.warn = () => {};
+});
+
+afterEach(() => {
+    global.fetch = originalFetch;
+    console.log = originalLog;
+    console.warn = originalWarn;
+});
+
+// Archivos publicados por el conversor para una lista
+function publish(products) {
+    const text = JSON.stringify(products);
+    const engine = new SearchEngine();
+    engine.buildFromText(text);
+    
+    return {
+        text: text,
+        hash: engine.state.version,
+        index: JSON.stringify(engine.exportIndex(engine.state.version))
+    };
+}
+
+// Motor con la lista publicada y el diccionario de sinónimos del sitio
+function createEngine(products) {
+    const engine = new SearchEngine();
+    engine.processSynonyms(SYNONYMS.grupos);
+    engine.buildFromText(publish(products).text);
+    return engine;
+}
+
+// Descripciones encontradas, en el orden del puntaje
+function searchDescriptions(engine, searchTerm) {
+    const { indices } = engine.search(searchTerm, {});
+    return Array.from(indices, index => engine.state.products[index].descripcion);
+}
+
+// ==============================================
+// 1. CARGA CON ÍNDICE PRECALCULADO
+// ==============================================
+
+test('load usa el índice precalculado si es del products.json publicado', async () => {
+    const published = publish(PRODUCTS);
+    files[URLS.productsUrl] = published.text;
+    files[URLS.indexUrl] = published.index;
+    files[URLS.metaUrl] = JSON.stringify({ hash: published.hash, fecha: '2026-10-19' });
+    
+    const engine = new SearchEngine();
+    let built = false;
+    engine.buildFromText = () => { built = true; };
+    await engine.load(URLS);
+    
+    assert.equal(built, false);
+    assert.equal(engine.state.version, published.hash);
+    assert.equal(engine.state.meta.fecha, '2026-10-19');
+    assert.deepEqual(engine.state.products.map(product => product.codigo), ['A1', 'A2']);
+});
+
+test('load descarta el índice de otra lista y arma el índice con el products.json nuevo', async () => {
+    const previous = publish(PRODUCTS);
+    const updated = PRODUCTS.map(product => ({ ...product, precio_venta: product.precio_venta * 2 }));
+    
+    // Se subió solo products.json: el índice y el meta son de la lista anterior
+    files[URLS.productsUrl] = JSON.stringify(updated);
+    files[URLS.indexUrl] = previous.index;
+    files[URLS.metaUrl] = JSON.stringify({ hash: previous.hash, fecha: '2026-10-12' });
+    
+    const engine = new SearchEngine();
+    await engine.load(URLS);
+    
+    assert.equal(engine.state.version, engine.hashText(files[URLS.productsUrl]));
+    assert.deepEqual(engine.state.products.map(product => product.precio_venta), [20000, 10000]);
+    assert.equal(engine.state.meta, null);
+    
+    const { indices } = engine.search('martillo', {});
+    assert.deepEqual(Array.from(indices), [0]);
+});
+
+// ==============================================
+// 2. FORMATO DEL ÍNDICE
+// ==============================================
+
+test('importIndex carga los tokens y las postings del índice sin reindexar', () => {
+    const products = PRODUCTS.concat({ codigo: 'A3', descripcion: 'Sin precio', precio_venta: 0 });
+    const source = new SearchEngine();
+    source.processProducts(products);
+    source.buildSearchStructures();
+    
+    const data = JSON.parse(JSON.stringify(source.exportIndex('abc123')));
+    assert.deepEqual(Object.keys(data), ['formato', 'version', 'tokens', 'terminos']);
+    assert.deepEqual(data.terminos.find(([term]) => term === 'stanley'), ['stanley', [0, 1]]);
+    
+    const engine = new SearchEngine();
+    engine.buildSearchStructures = () => assert.fail('importIndex no debe reindexar');
+    engine.importIndex(data, products);
+    
+    assert.equal(engine.state.version, 'abc123');
+    assert.deepEqual(engine.state.products, source.state.products);
+    assert.deepEqual(engine.state.sortedTerms, source.state.sortedTerms);
+    assert.deepEqual(engine.state.searchIndex, source.state.searchIndex);
+    assert.deepEqual(Array.from(engine.state.marcas), ['STANLEY']);
+    assert.deepEqual(Array.from(engine.search('pinza', {}).indices), [1]);
+    
+    // Otra lista con el mismo índice: no se mezclan productos y tokens
+    assert.throws(() => engine.importIndex(data, PRODUCTS.slice(1)), /El índice tiene 2 productos y el catálogo 1/);
+    assert.throws(() => engine.importIndex({ ...data, formato: 1 }, products), /Formato de índice no compatible \(1\)/);
+});
+
+// ==============================================
+// 3. SINÓNIMOS Y ABREVIATURAS
+// ==============================================
+
+test('los sinónimos se buscan exactos: "reduccion" encuentra RED. pero no REDONDO', () => {
+    const engine = createEngine([
+        { codigo: 'B1', descripcion: 'EPOXI BUJE RED.3/4 A 1/2', precio_venta: 900 },
+        { codigo: 'B2', descripcion: 'FUSION CUPLA REDUCCION 32 A 20MM', precio_venta: 1200 },
+        { codigo: 'B3', descripcion: 'DUCHADOR ABS REDONDO FLEX 1,5', precio_venta: 8000 },
+        { codigo: 'B4', descripcion: 'PLAFON LED 06W REDONDA', precio_venta: 5000 }
+    ]);
+    
+    assert.deepEqual(searchDescriptions(engine, 'reduccion').sort(), [
+        'EPOXI BUJE RED.3/4 A 1/2',
+        'FUSION CUPLA REDUCCION 32 A 20MM'
+    ]);
+    assert.deepEqual(searchDescriptions(engine, 'redondo').sort(), [
+        'DUCHADOR ABS REDONDO FLEX 1,5',
+        'PLAFON LED 06W REDONDA'
+    ]);
+});
+
+test('una abreviatura corta no trae las palabras que empiezan igual', () => {
+    const engine = createEngine([
+        { codigo: 'C1', descripcion: 'MARTILLO GALPONERO IMPORTADO', precio_venta: 9000 },
+        { codigo: 'C2', descripcion: 'TALADRO 13MM IMP.', precio_venta: 45000 },
+        { codigo: 'C3', descripcion: 'IMPERMEABLE PVC', precio_venta: 15000 },
+        { codigo: 'C4', descripcion: 'CINTA IMPRESORA', precio_venta: 3000 }
+    ]);
+    
+    assert.deepEqual(searchDescriptions(engine, 'importado').sort(), [
+        'MARTILLO GALPONERO IMPORTADO',
+        'TALADRO 13MM IMP.'
+    ]);
+    
+    // Lo escrito sí se busca por prefijo
+    assert.equal(searchDescriptions(engine, 'imp').length, 4);
+});
+
+test('una frase de sinónimos encuentra la otra y "p/" vuelve opcional a "para"', () => {
+    const engine = createEngine([
+        { codigo: 'D1', descripcion: 'LLAVE AJUSTABLE 8"', precio_venta: 12000 },
+        { codigo: 'D2', descripcion: 'LLAVE FRANCESA 10"', precio_venta: 15000 },
+        { codigo: 'D3', descripcion: 'FLEXIBLE P/DUCHADOR 1,5MT', precio_venta: 4000 },
+        { codigo: 'D4', descripcion: 'SOPORTE PARA DUCHADOR', precio_venta: 2500 }
+    ]);
+    
+    assert.deepEqual(searchDescriptions(engine, 'llave inglesa').sort(), ['LLAVE AJUSTABLE 8"', 'LLAVE FRANCESA 10"']);
+    assert.deepEqual(searchDescriptions(engine, 'para duchador').sort(), ['FLEXIBLE P/DUCHADOR 1,5MT', 'SOPORTE PARA DUCHADOR']);
+});
+
+// ==============================================
+// 4. TOKENIZADOR Y DATOS NORMALIZADOS
+// ==============================================
+
+test('los datos normalizados guardan la posición entre los productos válidos', () => {
+    const engine = createEngine([
+        { codigo: 'E1', descripcion: 'Sin precio', precio_venta: 0 },
+        ...PRODUCTS
+    ]);
+    
+    assert.deepEqual(engine.state.normalizedData.map(item => item.index), [0, 1]);
+    assert.equal(engine.state.products[engine.state.normalizedData[1].index].codigo, 'A2');
+});
+
+test('tokenize junta fracciones, pulgadas, decimales y unidades', () => {
+    const engine = new SearchEngine();
+    
+    assert.deepEqual(engine.tokenize('LLAVE 1/2"'), ['llave', '1/2']);
+    assert.deepEqual(engine.tokenize('codo 1/2 pulgada'), ['codo', '1/2']);
+    assert.deepEqual(engine.tokenize('AMOLADORA 4 1/2”'), ['amoladora', '4', '1/2']);
+    assert.deepEqual(engine.tokenize('DISCO 22 CM'), ['disco', '22cm']);
+    assert.deepEqual(engine.tokenize('22CM'), engine.tokenize('22cm'));
+    assert.deepEqual(engine.tokenize('FLEXIBLE 1,5MT'), ['flexible', '1.5m']);
+    assert.deepEqual(engine.tokenize('1.5 metros'), ['1.5m']);
+    assert.deepEqual(engine.tokenize('LIJA X 240'), ['lija', '240']);
+    assert.deepEqual(engine.tokenize('BULON 5 X 150'), ['bulon', '5x150', '5', '150']);
+});
+
+test('las medidas se encuentran escritas como las pide el cliente', () => {
+    const engine = createEngine([
+        { codigo: 'F1', descripcion: 'LLAVE ESFERICA 1/2"', precio_venta: 7000 },
+        { codigo: 'F2', descripcion: 'DISCO CORTE 22CM', precio_venta: 3000 },
+        { codigo: 'F3', descripcion: 'FLEXIBLE P/DUCHADOR 1,5MT', precio_venta: 4000 },
+        { codigo: 'F4', descripcion: 'LIJA AL AGUA X 240', precio_venta: 600 },
+        { codigo: 'F5', descripcion: 'LLAVE ESFERICA 3/4"', precio_venta: 9000 }
+    ]);
+    
+    assert.deepEqual(searchDescriptions(engine, 'llave 1/2 pulgada'), ['LLAVE ESFERICA 1/2"']);
+    assert.deepEqual(searchDescriptions(engine, 'disco 22 cm'), ['DISCO CORTE 22CM']);
+    assert.deepEqual(searchDescriptions(engine, 'flexible 1.5 metros'), ['FLEXIBLE P/DUCHADOR 1,5MT']);
+    assert.deepEqual(searchDescriptions(engine, 'lija 240'), ['LIJA AL AGUA X 240']);
+});
+
+// ==============================================
+// 5. PREFIJOS Y RANKING
+// ==============================================
+
+const HERRAMIENTAS = [
+    { codigo: 'M1', descripcion: 'MARTILLO CARPINTERO', precio_venta: 9000 },
+    { codigo: 'M2', descripcion: 'MARTILLOS SURTIDOS', precio_venta: 15000 },
+    { codigo: 'M3', descripcion: 'AMOLADORA ANGULAR 4 1/2"', precio_venta: 60000 },
+    { codigo: 'M4', descripcion: 'DESTORNILLADOR PHILLIPS', precio_venta: 2000 },
+    { codigo: 'M5', descripcion: 'CINTA TEFLON 3/4"', precio_venta: 500 }
+];
+
+test('una palabra incompleta encuentra todos los términos que empiezan igual', () => {
+    const engine = createEngine(HERRAMIENTAS);
+    
+    assert.deepEqual(searchDescriptions(engine, 'marti').sort(), ['MARTILLO CARPINTERO', 'MARTILLOS SURTIDOS']);
+    assert.deepEqual(searchDescriptions(engine, 'amol'), ['AMOLADORA ANGULAR 4 1/2"']);
+    
+    // Todas las palabras tienen que estar (AND), también incompletas
+    assert.deepEqual(searchDescriptions(engine, 'marti carp'), ['MARTILLO CARPINTERO']);
+    assert.deepEqual(searchDescriptions(engine, 'marti phil'), []);
+});
+
+test('la palabra exacta puntúa por encima de la coincidencia por prefijo', () => {
+    const engine = createEngine(HERRAMIENTAS);
+    const { indices, scores } = engine.search('martillo', {});
+    
+    assert.deepEqual(Array.from(indices, index => engine.state.products[index].codigo), ['M1', 'M2']);
+    assert.ok(scores[0] > scores[1]);
+});
+
+// ==============================================
+// 6. ERRORES DE TIPEO
+// ==============================================
+
+test('una palabra mal escrita encuentra el término parecido, por debajo de la exacta', () => {
+    const engine = createEngine(HERRAMIENTAS);
+    
+    const fuzzy = engine.search('amoladra', {});
+    assert.deepEqual(Array.from(fuzzy.indices), [2]);
+    
+    const exact = engine.search('amoladora', {});
+    assert.ok(fuzzy.scores[0] < exact.scores[0]);
+    
+    assert.deepEqual(searchDescriptions(engine, 'destornilador'), ['DESTORNILLADOR PHILLIPS']);
+});
+
+test('suggest propone la corrección y no corrige palabras que existen o empiezan un término', () => {
+    const engine = createEngine(HERRAMIENTAS);
+    
+    assert.equal(engine.suggest('amoladra'), 'amoladora');
+    assert.equal(engine.suggest('destornilador phillips'), 'destornillador phillips');
+    assert.equal(engine.suggest('tefon'), 'teflon');
+    assert.equal(engine.suggest('martillo'), null);
+    assert.equal(engine.suggest('marti'), null);
+    assert.equal(engine.suggest('xyzw'), null);
+});